@@ -0,0 +1,249 @@
+// argue.lol Stats — live numbers inside the argue.lol experience card
+// Fetches a stats payload from a configurable endpoint and renders it into
+// the card: counters that count up as they scroll into view, a bar chart
+// of matches per day and the top debaters. If the endpoint can't be
+// reached the snapshot build-argue-stats.js writes to
+// data/argue-stats.json stands in, labelled with its date; if neither
+// can, mount() leaves the element empty and the card reads as it did
+// before. The sample numbers in
+// data/argue-stats.fixture.json are for mock-argue.js, which serves them
+// as a stand-in endpoint for development and check-fixtures.js asserts
+// on; the page never reads them.
+//
+// Payload (camelCase or snake_case keys):
+//   { debatesRun, activeUsers, modelsCompeting, updatedAt,
+//     matchesPerDay: [{ date: 'YYYY-MM-DD', matches }],
+//     topDebaters: [{ name, wins, losses, rating }] }
+
+const ArgueStats = (function () {
+    const SNAPSHOT_URL = 'data/argue-stats.json';
+    const FIXTURE_URL = 'data/argue-stats.fixture.json';
+    const REQUEST_TIMEOUT = 8000;       // ms
+    const COUNT_MS = 1200;
+    const CHART_DAYS = 30;
+    const TOP_DEBATERS = 5;
+    const COUNTERS = [
+        { key: 'debatesRun', alias: 'debates_run', label: 'Debates run' },
+        { key: 'activeUsers', alias: 'active_users', label: 'Active users' },
+        { key: 'modelsCompeting', alias: 'models_competing', label: 'Models competing' }
+    ];
+    const SVG = 'http://www.w3.org/2000/svg';
+
+    function finite(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function pick(payload, key, alias) {
+        return payload[key] ?? payload[alias];
+    }
+
+    function formatCount(value) {
+        return Math.round(value).toLocaleString('en-US');
+    }
+
+    function formatDay(date) {
+        return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+            month: 'short', day: 'numeric', timeZone: 'UTC'
+        });
+    }
+
+    // Throws when there's nothing worth showing, so load() can fall back
+    function normalize(payload) {
+        if (!payload || typeof payload !== 'object') {
+            throw new TypeError('argue.lol stats need to be an object');
+        }
+        const counters = COUNTERS
+            .map(({ key, alias, label }) => ({ key, label, value: pick(payload, key, alias) }))
+            .filter(counter => finite(counter.value) && counter.value >= 0);
+        if (counters.length === 0) throw new TypeError('argue.lol stats have no counters');
+
+        const days = (pick(payload, 'matchesPerDay', 'matches_per_day') || [])
+            .filter(day => day && /^\d{4}-\d{2}-\d{2}/.test(day.date) && finite(day.matches) && day.matches >= 0)
+            .map(day => ({ date: day.date.slice(0, 10), matches: day.matches }))
+            .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+            .slice(-CHART_DAYS);
+
+        const debaters = (pick(payload, 'topDebaters', 'top_debaters') || [])
+            .filter(debater => debater && typeof debater.name === 'string' && debater.name.trim() !== '')
+            .slice(0, TOP_DEBATERS)
+            .map(debater => ({
+                name: debater.name.trim(),
+                wins: finite(debater.wins) ? debater.wins : null,
+                losses: finite(debater.losses) ? debater.losses : null,
+                rating: finite(debater.rating) ? debater.rating : null
+            }));
+
+        const updatedAt = Date.parse(pick(payload, 'updatedAt', 'updated_at'));
+        return {
+            counters,
+            days,
+            debaters,
+            updatedAt: Number.isFinite(updatedAt) ? updatedAt : null,
+            source: typeof payload.source === 'string' ? payload.source : null
+        };
+    }
+
+    async function fetchStats(url) {
+        return normalize(await fetchJson(url, { timeout: REQUEST_TIMEOUT, label: 'argue.lol stats request' }));
+    }
+
+    // Resolves with { stats, live } (live is false for the snapshot), or
+    // null when neither the endpoint nor the snapshot could be read
+    async function load(endpoint) {
+        if (endpoint) {
+            try {
+                return { stats: await fetchStats(endpoint), live: true };
+            } catch (error) {
+                console.warn(`argue.lol stats from ${endpoint} unavailable:`, error);
+            }
+        }
+        try {
+            return { stats: await fetchStats(SNAPSHOT_URL), live: false };
+        } catch (error) {
+            console.warn('argue.lol stats snapshot unavailable:', error);
+            return null;
+        }
+    }
+
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    function svgElement(tag, attributes) {
+        const node = document.createElementNS(SVG, tag);
+        for (const [name, value] of Object.entries(attributes)) node.setAttribute(name, value);
+        return node;
+    }
+
+    function createCounters(counters) {
+        const grid = element('div', 'argue-counters');
+        for (const counter of counters) {
+            const cell = element('div', 'argue-counter');
+            const value = element('span', 'argue-counter-value', formatCount(counter.value));
+            value.dataset.target = counter.value;
+            cell.append(value, element('span', 'argue-counter-label', counter.label));
+            grid.appendChild(cell);
+        }
+        return grid;
+    }
+
+    // One bar per day, scaled to the busiest; each bar's title gives the count
+    function createChart(days) {
+        const width = 300, height = 64, gap = 2;
+        const peak = days.reduce((best, day) => (day.matches > best.matches ? day : best), days[0]);
+        const barWidth = (width - gap * (days.length - 1)) / days.length;
+        const svg = svgElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            preserveAspectRatio: 'none',
+            class: 'argue-chart',
+            role: 'img',
+            'aria-label': `Matches per day over the last ${days.length} days, peaking at ${formatCount(peak.matches)} on ${formatDay(peak.date)}`
+        });
+        days.forEach((day, i) => {
+            const barHeight = peak.matches > 0 ? Math.max(1, (day.matches / peak.matches) * height) : 1;
+            const bar = svgElement('rect', {
+                x: (i * (barWidth + gap)).toFixed(2),
+                y: (height - barHeight).toFixed(2),
+                width: barWidth.toFixed(2),
+                height: barHeight.toFixed(2),
+                rx: Math.min(2, barWidth / 2).toFixed(2)
+            });
+            const title = svgElement('title', {});
+            title.textContent = `${formatDay(day.date)}: ${formatCount(day.matches)} matches`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+        return svg;
+    }
+
+    function createDebaters(debaters) {
+        const list = element('ol', 'argue-debaters');
+        for (const debater of debaters) {
+            const record = [
+                debater.wins !== null && debater.losses !== null ? `${debater.wins}–${debater.losses}` : null,
+                debater.rating !== null ? `${formatCount(debater.rating)} rating` : null
+            ].filter(Boolean).join(' · ');
+            const row = element('li');
+            row.append(element('span', 'argue-debater-name', debater.name));
+            if (record) row.append(element('span', 'argue-debater-record', record));
+            list.appendChild(row);
+        }
+        return list;
+    }
+
+    function createNote({ stats, live }) {
+        let text = live ? 'Live from argue.lol' : 'Snapshot';
+        if (stats.updatedAt) {
+            const date = new Date(stats.updatedAt).toLocaleDateString('en-US', {
+                month: 'short', day: 'numeric', year: 'numeric'
+            });
+            text += live ? ` · updated ${date}` : ` from ${date}`;
+        }
+        if (stats.source === 'fixture') text += ' · sample data';
+        return element('p', 'argue-stats-note', text);
+    }
+
+    // Counts every counter up from zero once the element is on screen
+    function animateCounters(root) {
+        const values = Array.from(root.querySelectorAll('.argue-counter-value'));
+        const reduced = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        if (reduced || typeof requestAnimationFrame !== 'function') return;
+
+        const run = () => {
+            let start = null;
+            const step = timestamp => {
+                if (start === null) start = timestamp;
+                const t = Math.min(1, (timestamp - start) / COUNT_MS);
+                const eased = 1 - Math.pow(1 - t, 3);
+                for (const value of values) value.textContent = formatCount(Number(value.dataset.target) * eased);
+                if (t < 1) requestAnimationFrame(step);
+            };
+            requestAnimationFrame(step);
+        };
+
+        if (typeof IntersectionObserver !== 'function') {
+            run();
+            return;
+        }
+        const observer = new IntersectionObserver(entries => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+            observer.disconnect();
+            run();
+        }, { threshold: 0.4 });
+        observer.observe(root);
+    }
+
+    function render(root, result) {
+        const { stats } = result;
+        const parts = [createCounters(stats.counters)];
+        if (stats.days.length > 1) {
+            parts.push(element('h4', 'argue-stats-heading', 'Matches per day'), createChart(stats.days));
+        }
+        if (stats.debaters.length > 0) {
+            parts.push(element('h4', 'argue-stats-heading', 'Top debaters'), createDebaters(stats.debaters));
+        }
+        parts.push(createNote(result));
+        root.classList.add('argue-stats');
+        root.dataset.source = result.live ? 'live' : 'snapshot';
+        root.replaceChildren(...parts);
+        animateCounters(root);
+    }
+
+    return {
+        SNAPSHOT_URL,
+        FIXTURE_URL,
+        normalize,
+        load,
+        // Fills root with the stats; resolves with load()'s result
+        mount: async function (root, { endpoint } = {}) {
+            const result = await load(endpoint);
+            if (result) render(root, result);
+            return result;
+        }
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ArgueStats;
@@ -0,0 +1,60 @@
+// Build argue.lol Stats — writes data/argue-stats.json, the snapshot the
+// argue.lol card falls back to, from a stats endpoint
+//
+//   node build-argue-stats.js <endpoint> [--out data/argue-stats.json] [--source fixture]
+//
+// The payload is checked with ArgueStats.normalize before anything is
+// written, so a bad or failed response never replaces a good snapshot; the
+// exit code is 1 if anything went wrong. A payload without updatedAt is
+// stamped with the time it was fetched. Pass --source fixture when
+// building from mock-argue.js so the card labels the numbers as sample data.
+
+const fs = require('fs');
+const path = require('path');
+const ArgueStats = require('./argue-stats.js');
+
+const DEFAULTS = {
+    out: path.join(__dirname, ArgueStats.SNAPSHOT_URL),
+    source: null
+};
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS, endpoint: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out' || arg === '--source') {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = value;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (options.endpoint) {
+            throw new Error('Only one endpoint, please');
+        } else {
+            options.endpoint = arg;
+        }
+    }
+    if (!/^https?:\/\//i.test(options.endpoint || '')) {
+        throw new Error('Usage: node build-argue-stats.js <http(s) endpoint> [--out file] [--source fixture]');
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const response = await fetch(options.endpoint, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${options.endpoint} answered ${response.status}`);
+    const payload = await response.json();
+    ArgueStats.normalize(payload);
+
+    const snapshot = { ...payload };
+    if (options.source) snapshot.source = options.source;
+    if (!snapshot.updatedAt && !snapshot.updated_at) snapshot.updatedAt = new Date().toISOString();
+    fs.writeFileSync(options.out, `${JSON.stringify(snapshot, null, 2)}\n`);
+    console.log(`Wrote argue.lol stats to ${path.relative(process.cwd(), options.out)}`);
+}
+
+main().catch(err => {
+    console.error(`${err.message}; snapshot left as it was`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+// Build Writing — refreshes writing.json from Substack feed files on disk
+//
+//   node build-writing.js [--out writing.json] [--limit 20] [--source rss] [feed.xml ...]
+//
+// With no files it reads every .xml in data/feeds/ except the sample
+// *.fixture.xml feeds. Fetch fresh copies with
+//   curl -o data/feeds/itsnotgambling.xml https://itsnotgambling.substack.com/feed
+// and rerun. The snapshot's source is 'fixture' if any input is a sample
+// feed and 'rss' otherwise; --source overrides it. A fixture snapshot goes
+// to data/writing.fixture.json unless --out says otherwise, so sample posts
+// never land where the page looks for real ones. A feed that can't be read is reported and the rest still
+// build, but the snapshot is never replaced by an empty one; the exit
+// code is 1 if anything went wrong.
+
+const fs = require('fs');
+const path = require('path');
+const WritingFeed = require('./writing-feed.js');
+
+const FEEDS_DIR = path.join(__dirname, 'data', 'feeds');
+const DEFAULTS = {
+    out: null,
+    limit: 20,
+    source: null
+};
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS, files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out' || arg === '--limit' || arg === '--source') {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = arg === '--limit' ? Number(value) : value;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+        throw new Error('--limit needs a positive whole number');
+    }
+    return options;
+}
+
+function isFixture(file) {
+    return file.endsWith('.fixture.xml');
+}
+
+function feedFiles(files) {
+    if (files.length > 0) return files;
+    return fs.readdirSync(FEEDS_DIR)
+        .filter(name => name.endsWith('.xml') && !isFixture(name))
+        .sort()
+        .map(name => path.join(FEEDS_DIR, name));
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const files = feedFiles(options.files);
+    if (files.length === 0) throw new Error(`No feed files in ${FEEDS_DIR} (sample feeds are only read when named)`);
+
+    const lists = [];
+    const feeds = [];
+    for (const file of files) {
+        const name = path.relative(process.cwd(), file);
+        try {
+            const posts = WritingFeed.parseFeed(fs.readFileSync(file, 'utf8'));
+            lists.push(posts);
+            if (posts.length > 0) feeds.push(posts[0].publication);
+            console.log(`${name}: ${posts.length} posts`);
+        } catch (err) {
+            console.error(`${name}: ${err.message}`);
+            process.exitCode = 1;
+        }
+    }
+
+    const problems = [];
+    const posts = WritingFeed.mergePosts(lists, problems).slice(0, options.limit);
+    for (const problem of problems) console.warn(problem);
+
+    const source = options.source || (files.some(isFixture) ? 'fixture' : 'rss');
+    const out = options.out || path.join(__dirname, source === 'fixture' ? WritingFeed.FIXTURE_URL : WritingFeed.SNAPSHOT_URL);
+    if (posts.length === 0) throw new Error(`No posts found; ${path.relative(process.cwd(), out)} left as it was`);
+
+    const snapshot = {
+        source,
+        generated: new Date().toISOString(),
+        feeds,
+        posts
+    };
+    fs.writeFileSync(out, `${JSON.stringify(snapshot, null, 2)}\n`);
+    console.log(`Wrote ${posts.length} posts to ${path.relative(process.cwd(), out)}`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
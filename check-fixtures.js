@@ -0,0 +1,246 @@
+// Check Fixtures — runs the data modules against the committed fixtures
+//
+//   node check-fixtures.js [--update-frames]
+//
+// Each check parses or summarises one fixture the way the page would and
+// asserts on the result, so a change that alters what the site shows from
+// the same data fails here first. The observatory's key frames are drawn
+// with renderFrame into a context that records every call, and compared
+// with the digests in data/observatory-frames.json; after a deliberate
+// change to the intro, --update-frames rewrites that file. Prints one line
+// per check; the exit code is 1 if any of them failed.
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const ArgueStats = require('./argue-stats.js');
+const ManifoldPortfolio = require('./manifold-portfolio.js');
+const MarketData = require('./market-data.js');
+const WritingFeed = require('./writing-feed.js');
+
+const FRAMES_FILE = 'data/observatory-frames.json';
+const FRAME_SIZE = { width: 640, height: 360 };
+const updateFrames = process.argv.includes('--update-frames');
+const checks = [];
+
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+}
+
+check('ManifoldPortfolio.summarize reads the fixture account', () => {
+    const read = route => readJson(path.join(ManifoldPortfolio.FIXTURE_DIR, ManifoldPortfolio.fixtureFile(route)));
+    const summary = ManifoldPortfolio.summarize({
+        user: read('user/realDonaldTrump'),
+        bets: read('bets'),
+        history: read('get-user-portfolio-history'),
+        metrics: read('get-user-contract-metrics-with-contracts'),
+        fetchedAt: 0,
+        source: 'fixture'
+    });
+
+    assert.strictEqual(summary.user.username, 'realDonaldTrump');
+    assert.strictEqual(summary.user.url, 'https://manifold.markets/realDonaldTrump');
+    assert.strictEqual(summary.netWorth, 1038.59);
+    assert.strictEqual(summary.profit, 38.59);
+    assert.strictEqual(summary.history.length, 31);
+    assert.ok(summary.history.every((point, i) => i === 0 || point.time >= summary.history[i - 1].time), 'history is oldest first');
+
+    // Largest position first, NO positions kept as NO
+    assert.deepStrictEqual(summary.positions.map(p => p.value), [218, 182, 150, 96, 84]);
+    assert.strictEqual(summary.positions[0].outcome, 'NO');
+    assert.strictEqual(summary.positions[0].probability, 0.11);
+
+    // Newest trade first, capped at five
+    assert.strictEqual(summary.trades.length, 5);
+    assert.ok(summary.trades.every((trade, i) => i === 0 || trade.time <= summary.trades[i - 1].time), 'trades are newest first');
+    assert.deepStrictEqual(summary.trades[0], {
+        question: 'Will argue.lol reach 1,000 monthly active users by the end of 2026?',
+        url: 'https://manifold.markets/realDonaldTrump/will-arguelol-reach-1000-monthly-act',
+        probability: 0.2,
+        outcome: 'YES',
+        amount: 25,
+        probBefore: 0.18,
+        probAfter: 0.2,
+        time: 1792255680000
+    });
+});
+
+check('ArgueStats.normalize reads the stub server\'s payload', () => {
+    const stats = ArgueStats.normalize(readJson(ArgueStats.FIXTURE_URL));
+
+    assert.deepStrictEqual(stats.counters.map(c => [c.key, c.value]), [
+        ['debatesRun', 18426],
+        ['activeUsers', 742],
+        ['modelsCompeting', 14]
+    ]);
+    assert.strictEqual(stats.days.length, 30);
+    assert.deepStrictEqual(stats.days[0], { date: '2026-09-02', matches: 101 });
+    assert.deepStrictEqual(stats.days[stats.days.length - 1], { date: '2026-10-01', matches: 153 });
+    assert.deepStrictEqual(stats.debaters.map(d => d.name), [
+        'Socratic Sentinel', 'Devil\'s Advocate', 'Steelman Supreme', 'Occam', 'Rebuttal Bot'
+    ]);
+    assert.strictEqual(stats.updatedAt, Date.parse('2026-10-01T12:00:00Z'));
+    assert.strictEqual(stats.source, 'fixture');
+
+    // snake_case keys read the same
+    const snake = ArgueStats.normalize({ debates_run: 5, active_users: 2, models_competing: 1, matches_per_day: [] });
+    assert.deepStrictEqual(snake.counters.map(c => c.value), [5, 2, 1]);
+    assert.throws(() => ArgueStats.normalize({}));
+});
+
+check('WritingFeed.parseFeed reads the sample feeds', () => {
+    const dir = path.join(__dirname, 'data', 'feeds');
+    const lists = fs.readdirSync(dir)
+        .filter(name => name.endsWith('.fixture.xml'))
+        .sort()
+        .map(name => WritingFeed.parseFeed(fs.readFileSync(path.join(dir, name), 'utf8')));
+    assert.deepStrictEqual(lists.map(posts => posts.length), [2, 3, 3]);
+
+    // Atom type="html" summaries are escaped HTML: unescaped, stripped, decoded
+    const [argue] = lists[0];
+    assert.strictEqual(argue.title, 'Building argue.lol');
+    assert.strictEqual(argue.publication, 'Eli Goldfine');
+    assert.strictEqual(argue.excerpt, 'Six months of running a competitive AI debate arena: what worked, what broke, and what the models argue about when nobody’s watching.');
+
+    // Cross-posts kept once, newest first, and the committed snapshot agrees
+    const problems = [];
+    const posts = WritingFeed.mergePosts(lists, problems);
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(posts.length, 7);
+    assert.strictEqual(new Set(posts.map(p => p.url)).size, posts.length);
+    assert.ok(posts.every((post, i) => i === 0 || post.date <= posts[i - 1].date), 'posts are newest first');
+    assert.deepStrictEqual(readJson(WritingFeed.FIXTURE_URL).posts.map(p => p.url), posts.map(p => p.url));
+
+    // Titles are text: entities decode once and escaped tags stay
+    const [post] = WritingFeed.parseFeed(`<rss><channel><title>T</title><item>
+        <title>Q &amp;amp; A on &lt;canvas&gt;</title><link>https://example.substack.com/p/q</link>
+        <pubDate>Sun, 18 Oct 2026 12:00:00 GMT</pubDate></item></channel></rss>`);
+    assert.strictEqual(post.title, 'Q &amp; A on <canvas>');
+});
+
+check('MarketData.toCandles charts the sample markets', () => {
+    const dataset = MarketData.normalize(readJson(MarketData.FIXTURE_URL));
+    assert.strictEqual(dataset.markets.length, 3);
+    assert.ok(dataset.markets.every(m => m.series.length === 120 && m.depth.length === 16));
+
+    const series = dataset.markets[0].series;
+    const candles = MarketData.toCandles(series);
+    assert.strictEqual(candles.length, 80);
+    // Drawn inside the 0.25–0.75 band, labelled with the market's own values
+    for (const candle of candles) {
+        for (const key of ['open', 'close', 'high', 'low']) {
+            assert.ok(candle[key] > 0.25 - 1e-9 && candle[key] < 0.75 + 1e-9, `${key} ${candle[key]} is outside the drawing band`);
+        }
+        assert.strictEqual(candle.bull, candle.raw.close > candle.raw.open);
+    }
+    assert.strictEqual(candles[0].raw.open, series[0].value);
+    assert.strictEqual(candles[candles.length - 1].raw.close, series[series.length - 1].value);
+    assert.deepStrictEqual(MarketData.toCandles(series.slice(0, 1)), []);
+
+    const cosmos = MarketData.toCosmos(dataset);
+    assert.deepStrictEqual(cosmos.candleSets.map(set => set.length), [80, 80]);
+    assert.deepStrictEqual(cosmos.candleTitles, dataset.markets.slice(0, 2).map(m => m.title));
+    assert.strictEqual(cosmos.depth.length, 16);
+    assert.ok(cosmos.depth.some(c => c.side === 'bid') && cosmos.depth.some(c => c.side === 'ask'), 'depth shows both sides');
+});
+
+// A 2D context that draws nothing and logs every call and property set,
+// numbers rounded so the log is stable across machines
+function recordingContext(width, height) {
+    const log = [];
+    let gradients = 0;
+    const format = value => {
+        if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+        if (value && value.gradient !== undefined) return `#${value.gradient}`;
+        if (value && value.width !== undefined) return `image ${value.width}x${value.height}`;
+        return String(value);
+    };
+    const gradient = (kind, args) => {
+        const g = { gradient: gradients++ };
+        g.addColorStop = (offset, color) => log.push(`#${g.gradient}.stop(${format(offset)}, ${color})`);
+        log.push(`${kind} #${g.gradient}(${args.map(format)})`);
+        return g;
+    };
+    const target = {
+        canvas: { width, height },
+        createLinearGradient: (...args) => gradient('linear', args),
+        createRadialGradient: (...args) => gradient('radial', args),
+        getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+        measureText: text => ({ width: String(text).length * 6 })
+    };
+    const ctx = new Proxy(target, {
+        get: (t, key) => key in t ? t[key] : (...args) => log.push(`${String(key)}(${args.map(format)})`),
+        set: (t, key, value) => {
+            log.push(`${String(key)}=${format(value)}`);
+            t[key] = value;
+            return true;
+        }
+    });
+    return { ctx, log };
+}
+
+// A fresh copy of the observatory per call, with offscreen surfaces that
+// record too (glow sprites and key frames render into those)
+function loadObservatory() {
+    class OffscreenCanvas {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+        }
+        getContext() {
+            return recordingContext(this.width, this.height).ctx;
+        }
+    }
+    const context = vm.createContext({ console, Math, OffscreenCanvas, performance, requestAnimationFrame() {}, cancelAnimationFrame() {} });
+    for (const file of ['clock.js', 'glow-sprites.js', 'spatial-grid.js', 'observatory.js']) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+    }
+    return vm.runInContext('ObservatoryAnimation', context);
+}
+
+function frameDigest(observatory, elapsed) {
+    const { ctx, log } = recordingContext(FRAME_SIZE.width, FRAME_SIZE.height);
+    observatory.renderFrame(ctx, elapsed, FRAME_SIZE);
+    return crypto.createHash('sha1').update(log.join('\n')).digest('hex');
+}
+
+check('ObservatoryAnimation.renderFrame matches the key-frame snapshots', () => {
+    const observatory = loadObservatory();
+    const frames = {};
+    for (const { name, time } of observatory.getKeyFrames()) {
+        frames[name] = { time, digest: frameDigest(observatory, time) };
+    }
+
+    // The same time draws the same frame, whatever was drawn before it:
+    // the last key frame came after all the others, so draw it again alone
+    const last = observatory.getKeyFrames().pop();
+    assert.strictEqual(frameDigest(loadObservatory(), last.time), frames[last.name].digest, 'renderFrame depends on earlier frames');
+    assert.strictEqual(new Set(Object.values(frames).map(f => f.digest)).size, Object.keys(frames).length, 'two key frames draw the same');
+
+    if (updateFrames) {
+        fs.writeFileSync(path.join(__dirname, FRAMES_FILE), `${JSON.stringify({ size: FRAME_SIZE, frames }, null, 2)}\n`);
+        return;
+    }
+    const snapshot = readJson(FRAMES_FILE);
+    assert.deepStrictEqual(snapshot.size, FRAME_SIZE);
+    assert.deepStrictEqual(frames, snapshot.frames, `key frames changed; rerun with --update-frames if that was intended`);
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+    try {
+        fn();
+        console.log(`ok - ${name}`);
+    } catch (err) {
+        failed++;
+        console.error(`not ok - ${name}\n  ${String(err.message).replace(/\n/g, '\n  ')}`);
+    }
+}
+console.log(`${checks.length - failed}/${checks.length} checks passed`);
+if (failed > 0) process.exitCode = 1;
@@ -0,0 +1,48 @@
+// Playback Clock — shared timebase for the landing and observatory acts
+// Advances once per animation frame by the scaled frame delta. Gaps longer
+// than maxStep (hidden tab, debugger pause, long GC) are capped so playback
+// picks up where it left off instead of jumping ahead.
+
+class PlaybackClock {
+    constructor(maxStep = 100) {
+        this.time = 0;
+        this.rate = 1;
+        this.paused = false;
+        this.maxStep = maxStep;
+        this.lastTimestamp = null;
+    }
+
+    tick(timestamp) {
+        if (this.lastTimestamp !== null && !this.paused) {
+            const delta = Math.min(Math.max(timestamp - this.lastTimestamp, 0), this.maxStep);
+            this.time += delta * this.rate;
+        }
+        this.lastTimestamp = timestamp;
+        return this.time;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    seek(ms) {
+        this.time = Math.max(0, ms);
+    }
+
+    setRate(rate) {
+        if (!(rate > 0) || !Number.isFinite(rate)) {
+            throw new RangeError(`Playback rate must be a positive number, got ${rate}`);
+        }
+        this.rate = rate;
+    }
+
+    reset() {
+        this.time = 0;
+        this.paused = false;
+        this.lastTimestamp = null;
+    }
+}
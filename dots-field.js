@@ -0,0 +1,300 @@
+// Dots Field — the drifting star field behind the main site
+// Owns its particles and loop so the same code can draw on the page's
+// canvas or, via dots-worker.js, on an OffscreenCanvas in a worker.
+// Every call takes plain values so a worker proxy can post them as-is.
+//
+// Motion is time-based: speeds are tuned per 60 Hz frame and scaled by
+// the real frame delta, so 144 Hz screens run at the same pace. start/stop
+// belong to the site; pause/resume take a reason ('hidden', 'covered', …)
+// and the loop only runs while started with no reason holding it.
+//
+// The pointer pushes (or pulls) nearby dots, links the ones around it into
+// a small constellation, and clicks or taps send out ripples. Dots are
+// displaced by an offset that eases toward that pull and back, so their
+// own drift is never disturbed.
+
+const DotsField = (function () {
+    let canvas = null, ctx = null;
+    let width = 0, height = 0;      // CSS pixels
+    let pixelRatio = 1;             // backing-store scale
+    let dots = [];
+    let frameId = null;
+    let running = false;
+    const holds = new Set();
+
+    const FRAME_MS = 1000 / 60;
+    const clock = new PlaybackClock();
+    let lastFrames = 0;
+
+    // ── Interaction ──
+    // Distances in CSS pixels, times in ms. With motion off (reduced
+    // motion) the cursor constellation stays but nothing is displaced.
+    const interaction = {
+        pointerForce: 18,       // px of push beside the pointer; negative attracts
+        pointerRadius: 140,     // reach of the pointer field
+        linkRadius: 120,        // dots this close to the pointer are linked…
+        linkDistance: 90,       // …to each other, up to this length
+        linkAlpha: 0.35,
+        rippleForce: 14,        // px of push at a ripple's front
+        rippleSpeed: 0.5,       // px per ms
+        rippleWidth: 40,        // thickness of the front
+        rippleLife: 1400,
+        motion: true
+    };
+    let pointer = null;
+    let ripples = [];
+    const nearPointer = [];
+    const pullOut = { x: 0, y: 0 };
+
+    // Offset the pointer and live ripples ask of a dot at (x, y)
+    function pullAt(x, y) {
+        pullOut.x = 0;
+        pullOut.y = 0;
+        if (!interaction.motion) return pullOut;
+
+        if (pointer) {
+            const dx = x - pointer.x, dy = y - pointer.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > 0 && dist < interaction.pointerRadius) {
+                const falloff = 1 - dist / interaction.pointerRadius;
+                const push = interaction.pointerForce * falloff * falloff / dist;
+                pullOut.x += dx * push;
+                pullOut.y += dy * push;
+            }
+        }
+
+        for (const ripple of ripples) {
+            const age = clock.time - ripple.start;
+            const dx = x - ripple.x, dy = y - ripple.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const band = Math.abs(dist - age * interaction.rippleSpeed);
+            if (dist > 0 && band < interaction.rippleWidth) {
+                const strength = (1 - age / interaction.rippleLife) * (1 - band / interaction.rippleWidth);
+                const push = interaction.rippleForce * strength / dist;
+                pullOut.x += dx * push;
+                pullOut.y += dy * push;
+            }
+        }
+        return pullOut;
+    }
+
+    class Dot {
+        constructor() {
+            this.x = Math.random() * width;
+            this.y = Math.random() * height;
+            this.baseSize = 1 + Math.random() * 2;
+            this.size = this.baseSize;
+
+            // Movement
+            this.vx = (Math.random() - 0.5) * 0.5;
+            this.vy = (Math.random() - 0.5) * 0.5;
+
+            // Brightness animation
+            this.baseBrightness = 0.2 + Math.random() * 0.3;
+            this.brightness = this.baseBrightness;
+            this.brightnessSpeed = 0.005 + Math.random() * 0.02;
+            this.brightnessPhase = Math.random() * Math.PI * 2;
+
+            // Color (subtle purples/blues)
+            this.hue = 240 + Math.random() * 60;
+
+            // Displacement from the pointer and ripples, and how close the
+            // pointer is (0-1) for the constellation links
+            this.ox = 0;
+            this.oy = 0;
+            this.pointerProximity = 0;
+        }
+
+        update(time, step) {
+            // Move
+            this.x += this.vx * step;
+            this.y += this.vy * step;
+
+            // Wrap around screen
+            if (this.x < 0) this.x = width;
+            if (this.x > width) this.x = 0;
+            if (this.y < 0) this.y = height;
+            if (this.y > height) this.y = 0;
+
+            // Animate brightness
+            this.brightness = this.baseBrightness +
+                Math.sin(time * this.brightnessSpeed + this.brightnessPhase) * 0.3;
+            this.brightness = Math.max(0.05, Math.min(0.8, this.brightness));
+
+            // Size pulses slightly with brightness
+            this.size = this.baseSize * (0.8 + this.brightness * 0.4);
+
+            // Ease toward the interaction pull (or back to rest)
+            const pull = pullAt(this.x, this.y);
+            const ease = Math.min(1, 0.12 * step);
+            this.ox += (pull.x - this.ox) * ease;
+            this.oy += (pull.y - this.oy) * ease;
+        }
+
+        draw() {
+            const x = this.x + this.ox;
+            const y = this.y + this.oy;
+            ctx.beginPath();
+            ctx.arc(x, y, this.size, 0, Math.PI * 2);
+            ctx.fillStyle = `hsla(${this.hue}, 60%, 70%, ${this.brightness})`;
+            ctx.fill();
+
+            // Add glow for brighter dots
+            if (this.brightness > 0.4) {
+                ctx.beginPath();
+                ctx.arc(x, y, this.size * 3, 0, Math.PI * 2);
+                ctx.fillStyle = `hsla(${this.hue}, 60%, 70%, ${this.brightness * 0.2})`;
+                ctx.fill();
+            }
+        }
+    }
+
+    function populate() {
+        dots = [];
+        const numDots = Math.floor((width * height) / 8000); // Density based on screen size
+        for (let i = 0; i < numDots; i++) {
+            dots.push(new Dot());
+        }
+    }
+
+    // Time and step are in 60 Hz frames; the clock's rate is the motion scale
+    function frame(timestamp) {
+        const frames = clock.tick(timestamp) / FRAME_MS;
+        const step = frames - lastFrames;
+        lastFrames = frames;
+
+        ctx.clearRect(0, 0, width, height);
+
+        if (ripples.length > 0) {
+            ripples = ripples.filter(r => clock.time - r.start < interaction.rippleLife);
+            drawRipples();
+        }
+
+        for (const dot of dots) {
+            dot.update(frames, step);
+            dot.draw();
+        }
+        drawPointerLinks();
+
+        frameId = requestAnimationFrame(frame);
+    }
+
+    function drawRipples() {
+        ctx.lineWidth = 1;
+        for (const ripple of ripples) {
+            const age = clock.time - ripple.start;
+            ctx.beginPath();
+            ctx.arc(ripple.x, ripple.y, age * interaction.rippleSpeed, 0, Math.PI * 2);
+            ctx.strokeStyle = `hsla(260, 60%, 75%, ${(1 - age / interaction.rippleLife) * 0.12})`;
+            ctx.stroke();
+        }
+    }
+
+    // Links the dots around the pointer to each other; the set is small,
+    // so a direct pairwise pass is cheap.
+    function drawPointerLinks() {
+        if (!pointer || interaction.linkAlpha <= 0) return;
+        nearPointer.length = 0;
+        for (const dot of dots) {
+            const dx = dot.x + dot.ox - pointer.x, dy = dot.y + dot.oy - pointer.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < interaction.linkRadius) {
+                dot.pointerProximity = 1 - dist / interaction.linkRadius;
+                nearPointer.push(dot);
+            }
+        }
+
+        ctx.lineWidth = 0.6;
+        for (let i = 0; i < nearPointer.length; i++) {
+            const a = nearPointer[i];
+            for (let j = i + 1; j < nearPointer.length; j++) {
+                const b = nearPointer[j];
+                const dx = a.x + a.ox - b.x - b.ox, dy = a.y + a.oy - b.y - b.oy;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist > interaction.linkDistance) continue;
+                const alpha = interaction.linkAlpha * (1 - dist / interaction.linkDistance) *
+                    Math.min(a.pointerProximity, b.pointerProximity);
+                ctx.beginPath();
+                ctx.moveTo(a.x + a.ox, a.y + a.oy);
+                ctx.lineTo(b.x + b.ox, b.y + b.oy);
+                ctx.strokeStyle = `hsla(260, 60%, 75%, ${alpha})`;
+                ctx.stroke();
+            }
+        }
+    }
+
+    // Runs the loop exactly when started and not held
+    function sync() {
+        const shouldRun = running && holds.size === 0;
+        if (shouldRun && frameId === null) {
+            frameId = requestAnimationFrame(frame);
+        } else if (!shouldRun && frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    }
+
+    return {
+        attach: function (target) {
+            canvas = target;
+            ctx = canvas.getContext('2d');
+            width = canvas.width;
+            height = canvas.height;
+        },
+        // Sizes the canvas in CSS pixels with a ratio-times backing store;
+        // a running field is reseeded for the new area
+        resize: function (newWidth, newHeight, ratio = 1) {
+            width = newWidth;
+            height = newHeight;
+            pixelRatio = ratio;
+            if (!canvas) return;
+            canvas.width = Math.round(width * pixelRatio);
+            canvas.height = Math.round(height * pixelRatio);
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            if (running) populate();
+        },
+        start: function () {
+            if (!ctx || running) return;
+            running = true;
+            populate();
+            sync();
+        },
+        stop: function () {
+            if (!running) return;
+            running = false;
+            sync();
+            ctx.clearRect(0, 0, width, height);
+        },
+        // Holds the field where it is until every reason is resumed
+        pause: function (reason) {
+            holds.add(reason);
+            sync();
+        },
+        resume: function (reason) {
+            holds.delete(reason);
+            sync();
+        },
+        // 1 is full speed; reduced motion slows drift and twinkle to 0.1
+        setMotionScale: function (scale) {
+            clock.setRate(scale);
+        },
+
+        // ── Interaction ──
+        // Pointer coordinates are CSS pixels relative to the canvas
+        setPointer: function (x, y) {
+            pointer = { x, y };
+        },
+        clearPointer: function () {
+            pointer = null;
+        },
+        ripple: function (x, y) {
+            if (!running || !interaction.motion) return;
+            ripples.push({ x, y, start: clock.time });
+        },
+        // Merges any of the strengths above; { motion: false } for reduced motion
+        setInteraction: function (options) {
+            Object.assign(interaction, options);
+            if (!interaction.motion) ripples = [];
+        }
+    };
+})();
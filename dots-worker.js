@@ -0,0 +1,19 @@
+// Dots Worker — runs DotsField on an OffscreenCanvas off the main thread
+// The page transfers #dotsCanvas once ({ canvas }), then posts DotsField
+// calls as { method, args }.
+
+importScripts('clock.js', 'dots-field.js');
+
+// Workers without requestAnimationFrame get a timer-driven stand-in
+if (typeof self.requestAnimationFrame !== 'function') {
+    self.requestAnimationFrame = fn => setTimeout(() => fn(performance.now()), 1000 / 60);
+    self.cancelAnimationFrame = id => clearTimeout(id);
+}
+
+self.onmessage = ({ data }) => {
+    if (data.canvas) {
+        DotsField.attach(data.canvas);
+        return;
+    }
+    if (typeof DotsField[data.method] === 'function') DotsField[data.method](...(data.args || []));
+};
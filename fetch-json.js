@@ -0,0 +1,24 @@
+// Fetch JSON — the GETs the data modules share
+// Bypasses the HTTP cache's stale copies, gives up after `timeout` ms and
+// throws on any non-2xx response, naming `label` in the message.
+
+async function fetchResponse(url, { timeout = 10000, label = 'Request' } = {}, read) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+    try {
+        const response = await fetch(url, { cache: 'no-cache', signal: controller?.signal });
+        if (!response.ok) throw new Error(`${label} failed (${response.status})`);
+        return await read(response);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function fetchJson(url, options) {
+    return fetchResponse(url, options, response => response.json());
+}
+
+// Feeds and other documents that aren't JSON
+function fetchText(url, options) {
+    return fetchResponse(url, options, response => response.text());
+}
@@ -0,0 +1,98 @@
+// Glow Sprites — pre-rendered radial halos shared by every canvas on the page
+// A glow is defined once (colour stops plus an optional inner radius) and
+// rendered lazily into a small offscreen surface per power-of-two size
+// bucket. Drawing is then a single drawImage scaled to the wanted radius,
+// with intensity applied through globalAlpha — which scales every stop
+// evenly, so it matches a per-frame gradient at that alpha exactly.
+
+const GlowSprites = (function () {
+    const HUE_STEP = 4;         // degrees; nearby hues share a sprite
+    const MIN_SIZE = 8;         // smallest sprite radius in px
+    const MAX_SIZE = 256;       // larger glows are upscaled from this
+    const MAX_SURFACES = 512;   // cache budget before everything is re-rendered
+    const TRANSPARENT = 'rgba(0,0,0,0)';
+
+    const glows = new Map();
+    let surfaceCount = 0;
+    let resolution = 1;
+
+    function createSurface(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const surface = document.createElement('canvas');
+        surface.width = width;
+        surface.height = height;
+        return surface;
+    }
+
+    function sizeBucket(radius) {
+        let size = MIN_SIZE;
+        while (size < radius && size < MAX_SIZE) size *= 2;
+        return size;
+    }
+
+    // Colour stops are [offset, css colour] at full intensity. Identical
+    // definitions return the same glow, so pools can define one per element.
+    function define(stops, inner = 0) {
+        const key = `${inner}|${stops.map(s => s.join(' ')).join('|')}`;
+        let glow = glows.get(key);
+        if (!glow) {
+            glow = { stops, inner, surfaces: {} };
+            glows.set(key, glow);
+        }
+        return glow;
+    }
+
+    // The common case: one colour fading out to transparent at the rim
+    function halo(color, inner = 0) {
+        return define([[0, color], [1, TRANSPARENT]], inner);
+    }
+
+    function hsl(hue, sat, light) {
+        const h = Math.round(hue / HUE_STEP) * HUE_STEP;
+        return `hsl(${h}, ${sat}%, ${light}%)`;
+    }
+
+    function render(glow, size) {
+        const surface = createSurface(size * 2, size * 2);
+        const g = surface.getContext('2d');
+        const grad = g.createRadialGradient(size, size, size * glow.inner, size, size, size);
+        for (const [offset, color] of glow.stops) grad.addColorStop(offset, color);
+        g.fillStyle = grad;
+        g.beginPath();
+        g.arc(size, size, size, 0, Math.PI * 2);
+        g.fill();
+        return surface;
+    }
+
+    function clear() {
+        for (const glow of glows.values()) glow.surfaces = {};
+        surfaceCount = 0;
+    }
+
+    function surfaceFor(glow, radius) {
+        const size = sizeBucket(radius * resolution);
+        let surface = glow.surfaces[size];
+        if (!surface) {
+            if (surfaceCount >= MAX_SURFACES) clear();
+            surface = glow.surfaces[size] = render(glow, size);
+            surfaceCount++;
+        }
+        return surface;
+    }
+
+    function draw(ctx, glow, x, y, radius, alpha = 1) {
+        if (radius <= 0 || alpha <= 0) return;
+        const prev = ctx.globalAlpha;
+        ctx.globalAlpha = prev * Math.min(alpha, 1);
+        ctx.drawImage(surfaceFor(glow, radius), x - radius, y - radius, radius * 2, radius * 2);
+        ctx.globalAlpha = prev;
+    }
+
+    // Backing-store scale of the canvases being drawn to, so HiDPI glows
+    // are picked from a sprite large enough to stay sharp.
+    function setResolution(ratio) {
+        resolution = ratio > 0 ? ratio : 1;
+    }
+
+    return { TRANSPARENT, define, halo, hsl, draw, clear, setResolution };
+})();
@@ -0,0 +1,257 @@
+// Intro Audio — procedural ambient soundtrack for the observatory intro
+// Everything is synthesised with Web Audio: no files, no network. Four
+// voices follow the timeline's phases the way the visuals do — each one's
+// level comes from its phase window with the same soft edges, and its
+// character from the phase's t:
+//   drone   — low detuned oscillators under the observatory, opening up
+//             as the camera moves inside
+//   shimmer — filtered noise and high partials swelling at each lens pass
+//   ticks   — granular blips in the data phase, denser as t rises
+//   pad     — a soft minor-ninth chord in the cosmos, brightening with t
+// The page drives it with update(time, phases) from the animation's
+// progress events; nothing sounds until setEnabled(true).
+
+const IntroAudio = (function () {
+    const MASTER_LEVEL = 0.8;
+    const LEVELS = { drone: 0.35, shimmer: 0.12, ticks: 0.25, pad: 0.22 };
+    const SMOOTHING = 0.12;         // s; time constant for level changes
+    const FADE_OUT = 1.2;           // s; stop() and disabling
+    const EDGE = 0.15;              // share of a phase window spent fading
+    const LENS_SPACING = 0.9;       // camera units between lens rings…
+    const LENS_FIRST = 0.3;         // …and the first one, as in initParticles
+    const TICK_LOOKAHEAD = 0.1;     // s of grains scheduled ahead
+    const PAD_NOTES = [110, 130.81, 164.81, 196, 246.94];   // A2 C3 E3 G3 B3
+
+    let audio = null;
+    let master = null;
+    let voices = null;
+    let enabled = false;
+    let lastTime = null;
+    let nextTickAt = 0;
+    let suspendTimer = null;
+    let unlockPending = false;
+
+    function smoothstep(e0, e1, x) {
+        const t = Math.max(0, Math.min(1, (x - e0) / (e1 - e0)));
+        return t * t * (3 - 2 * t);
+    }
+
+    // Position and level within a phase window; level rises and falls over
+    // the first and last EDGE of the window
+    function phaseAt(phases, name, time) {
+        const phase = phases.find(p => p.name === name);
+        if (!phase || time < phase.start || time > phase.end) return { t: 0, level: 0 };
+        const t = (time - phase.start) / (phase.end - phase.start);
+        return { t, level: smoothstep(0, EDGE, t) * (1 - smoothstep(1 - EDGE, 1, t)) };
+    }
+
+    function setLevel(param, value) {
+        param.setTargetAtTime(value, audio.currentTime, SMOOTHING);
+    }
+
+    function createNoise() {
+        const buffer = audio.createBuffer(1, audio.sampleRate * 2, audio.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        const source = audio.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        return source;
+    }
+
+    function oscillator(type, frequency, destination, detune = 0) {
+        const osc = audio.createOscillator();
+        osc.type = type;
+        osc.frequency.value = frequency;
+        osc.detune.value = detune;
+        osc.connect(destination);
+        osc.start();
+        return osc;
+    }
+
+    function gain(value, destination) {
+        const node = audio.createGain();
+        node.gain.value = value;
+        node.connect(destination);
+        return node;
+    }
+
+    function filter(type, frequency, q, destination) {
+        const node = audio.createBiquadFilter();
+        node.type = type;
+        node.frequency.value = frequency;
+        node.Q.value = q;
+        node.connect(destination);
+        return node;
+    }
+
+    // A slow sine wobbling an AudioParam around its set value
+    function lfo(rate, depth, param) {
+        const depthGain = gain(depth, param);
+        oscillator('sine', rate, depthGain);
+    }
+
+    function buildVoices() {
+        const drone = gain(0, master);
+        const droneFilter = filter('lowpass', 180, 0.7, drone);
+        oscillator('sine', 55, droneFilter);
+        oscillator('sawtooth', 55, droneFilter, 7);
+        oscillator('sine', 82.41, droneFilter, -4);
+        lfo(0.07, 40, droneFilter.frequency);
+
+        const shimmer = gain(0, master);
+        const shimmerFilter = filter('bandpass', 6000, 6, shimmer);
+        const noise = createNoise();
+        noise.connect(shimmerFilter);
+        noise.start();
+        const partials = gain(0.05, shimmer);
+        oscillator('sine', 2637, partials);
+        oscillator('sine', 3520, partials, 5);
+        lfo(0.3, 1500, shimmerFilter.frequency);
+
+        const ticks = gain(0, master);
+
+        const pad = gain(0, master);
+        const padFilter = filter('lowpass', 500, 0.5, pad);
+        for (const note of PAD_NOTES) {
+            oscillator('triangle', note, padFilter, -3);
+            oscillator('triangle', note, padFilter, 3);
+        }
+        lfo(0.08, 150, padFilter.frequency);
+
+        return { drone, droneFilter, shimmer, ticks, pad, padFilter };
+    }
+
+    // One short blip on the ticks bus, starting at `when`
+    function grain(when) {
+        const osc = audio.createOscillator();
+        const envelope = audio.createGain();
+        osc.type = 'sine';
+        osc.frequency.value = 1800 + Math.random() * 2400;
+        envelope.gain.setValueAtTime(0, when);
+        envelope.gain.linearRampToValueAtTime(0.3, when + 0.003);
+        envelope.gain.exponentialRampToValueAtTime(0.001, when + 0.03);
+        osc.connect(envelope);
+        envelope.connect(voices.ticks);
+        osc.start(when);
+        osc.stop(when + 0.035);
+    }
+
+    function scheduleTicks(t) {
+        const rate = 4 + t * 26;    // grains per second
+        const horizon = audio.currentTime + TICK_LOOKAHEAD;
+        nextTickAt = Math.max(nextTickAt, audio.currentTime);
+        while (nextTickAt < horizon) {
+            grain(nextTickAt);
+            nextTickAt += (0.5 + Math.random()) / rate;
+        }
+    }
+
+    // Browsers start audio suspended until a user gesture; when sound was
+    // switched on in an earlier visit, the first gesture resumes it
+    function resume() {
+        clearTimeout(suspendTimer);
+        suspendTimer = null;
+        if (audio.state === 'running') return;
+        audio.resume().catch(() => {});
+        if (audio.state !== 'running' && !unlockPending) {
+            unlockPending = true;
+            const unlock = () => {
+                unlockPending = false;
+                window.removeEventListener('pointerdown', unlock, true);
+                window.removeEventListener('keydown', unlock, true);
+                if (enabled) audio.resume().catch(() => {});
+            };
+            window.addEventListener('pointerdown', unlock, true);
+            window.addEventListener('keydown', unlock, true);
+        }
+    }
+
+    function suspendAfterFade() {
+        clearTimeout(suspendTimer);
+        suspendTimer = setTimeout(() => {
+            suspendTimer = null;
+            audio.suspend().catch(() => {});
+        }, FADE_OUT * 4000);
+    }
+
+    function ensureAudio() {
+        if (audio) return true;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return false;
+        audio = new AudioContextClass();
+        master = audio.createGain();
+        master.gain.value = 0;
+        master.connect(audio.destination);
+        voices = buildVoices();
+        return true;
+    }
+
+    function silenceVoices(timeConstant) {
+        for (const name of Object.keys(LEVELS)) {
+            voices[name].gain.setTargetAtTime(0, audio.currentTime, timeConstant);
+        }
+    }
+
+    return {
+        // Turns sound on or off; returns whether it is on (false when the
+        // browser has no Web Audio)
+        setEnabled: function (on) {
+            if (on && !ensureAudio()) return false;
+            enabled = on;
+            if (!audio) return enabled;
+            if (on) {
+                resume();
+                setLevel(master.gain, MASTER_LEVEL);
+            } else {
+                master.gain.setTargetAtTime(0, audio.currentTime, FADE_OUT / 4);
+                suspendAfterFade();
+            }
+            return enabled;
+        },
+        isEnabled: function () {
+            return enabled;
+        },
+        isSupported: function () {
+            return !!(window.AudioContext || window.webkitAudioContext);
+        },
+
+        // time is the animation's local time; phases are { name, start, end }
+        update: function (time, phases) {
+            if (!enabled || !audio) return;
+            resume();
+            const advancing = lastTime === null || time > lastTime;
+            lastTime = time;
+
+            const exterior = phaseAt(phases, 'exterior', time);
+            const interior = phaseAt(phases, 'interior', time);
+            const approach = phaseAt(phases, 'approach', time);
+            const droneLevel = Math.max(exterior.level, interior.level, approach.level * (1 - approach.t));
+            setLevel(voices.drone.gain, droneLevel * LEVELS.drone);
+            setLevel(voices.droneFilter.frequency, 180 + interior.t * 220 + approach.t * 300);
+
+            // Lens rings pass the camera every LENS_SPACING units of t * 10
+            const optics = phaseAt(phases, 'optics', time);
+            const ringPhase = (optics.t * 10 - LENS_FIRST) / LENS_SPACING;
+            const pass = Math.pow(0.5 + 0.5 * Math.cos(ringPhase * Math.PI * 2), 6);
+            setLevel(voices.shimmer.gain, optics.level * (0.25 + 0.75 * pass) * LEVELS.shimmer);
+
+            const data = phaseAt(phases, 'data', time);
+            setLevel(voices.ticks.gain, data.level * LEVELS.ticks);
+            if (data.level > 0 && advancing) scheduleTicks(data.t);
+
+            const cosmos = phaseAt(phases, 'cosmos', time);
+            setLevel(voices.pad.gain, cosmos.level * LEVELS.pad);
+            setLevel(voices.padFilter.frequency, 500 + cosmos.t * 900);
+        },
+
+        // Fades every voice out, e.g. when the site takes over; the next
+        // update brings them back
+        stop: function () {
+            lastTime = null;
+            if (!audio) return;
+            silenceVoices(FADE_OUT / 4);
+            suspendAfterFade();
+        }
+    };
+})();
@@ -0,0 +1,160 @@
+// Manifold Portfolio — bets, positions and profit for the forecasting widget
+// Reads Manifold's v0 API (or anything shaped like it):
+//   GET /v0/user/{username}                                   → user
+//   GET /v0/bets?userId&limit                                 → bets, newest first
+//   GET /v0/get-user-portfolio-history?userId&period          → [{ timestamp, balance, investmentValue, totalDeposits }]
+//   GET /v0/get-user-contract-metrics-with-contracts?userId&limit
+//                                                             → { metricsByContract, contracts }
+// The base can also be 'fixture', which reads the same responses from
+// data/manifold/ (mock-manifold.js serves them over HTTP for development,
+// check-fixtures.js asserts on what summarize() makes of them).
+// load() resolves with the raw responses plus fetchedAt, so the page can
+// cache them as-is; summarize() turns them into what the widget draws.
+
+const ManifoldPortfolio = (function () {
+    const API_BASE = 'https://api.manifold.markets';
+    const FIXTURE_DIR = 'data/manifold';
+    const BET_LIMIT = 50;
+    const METRICS_LIMIT = 25;
+    const HISTORY_PERIOD = 'monthly';
+    const REQUEST_TIMEOUT = 10000;      // ms
+    const SAFE_URL = /^https?:/i;
+    const FIXTURE_FILES = {
+        bets: 'bets.json',
+        'get-user-portfolio-history': 'portfolio-history.json',
+        'get-user-contract-metrics-with-contracts': 'contract-metrics.json'
+    };
+
+    function finite(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    // The fixture keeps one file per route, whatever the parameters
+    function fixtureFile(route) {
+        return route.startsWith('user/') ? 'user.json' : FIXTURE_FILES[route] || null;
+    }
+
+    function routeUrl(base, route, params = {}) {
+        if (base === 'fixture') return `${FIXTURE_DIR}/${fixtureFile(route)}`;
+        const query = new URLSearchParams(params).toString();
+        return `${base.replace(/\/+$/, '')}/v0/${route}${query ? `?${query}` : ''}`;
+    }
+
+    function getJson(base, route, params) {
+        return fetchJson(routeUrl(base, route, params), {
+            timeout: REQUEST_TIMEOUT,
+            label: `Manifold request for ${route}`
+        });
+    }
+
+    async function load(username, base = API_BASE) {
+        const user = await getJson(base, `user/${encodeURIComponent(username)}`);
+        if (!user || typeof user.id !== 'string') throw new TypeError(`Manifold has no user "${username}"`);
+        const [bets, history, metrics] = await Promise.all([
+            getJson(base, 'bets', { userId: user.id, limit: BET_LIMIT }),
+            getJson(base, 'get-user-portfolio-history', { userId: user.id, period: HISTORY_PERIOD }),
+            getJson(base, 'get-user-contract-metrics-with-contracts', { userId: user.id, limit: METRICS_LIMIT })
+        ]);
+        return {
+            source: base === 'fixture' ? 'fixture' : base,
+            fetchedAt: Date.now(),
+            user,
+            bets,
+            history,
+            metrics
+        };
+    }
+
+    function netWorth(point) {
+        return (point.balance || 0) + (point.investmentValue || 0);
+    }
+
+    // A trade is a filled bet that moved money; unfilled limit orders and
+    // redemptions show up in the bet list too
+    function isTrade(bet) {
+        return finite(bet.amount) && bet.amount !== 0 && !bet.isRedemption && !bet.isCancelled;
+    }
+
+    // { user, netWorth, profit, change, history, positions, trades, fetchedAt, source }
+    // from load()'s payload; throws when there's no user to show
+    function summarize(payload, { positions: positionCount = 5, trades: tradeCount = 5 } = {}) {
+        const user = payload?.user;
+        if (!user || typeof user.username !== 'string') {
+            throw new TypeError('Manifold data needs a user');
+        }
+
+        const contracts = new Map();
+        for (const contract of payload.metrics?.contracts || []) {
+            if (contract && typeof contract.id === 'string') contracts.set(contract.id, contract);
+        }
+        const marketFor = id => {
+            const contract = contracts.get(id);
+            return {
+                question: contract?.question || 'A Manifold market',
+                url: SAFE_URL.test(contract?.url || '') ? contract.url : null,
+                probability: finite(contract?.probability) ? contract.probability : null
+            };
+        };
+
+        const history = (Array.isArray(payload.history) ? payload.history : [])
+            .filter(point => point && finite(point.timestamp))
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map(point => ({ time: point.timestamp, value: netWorth(point) }));
+
+        const positions = [];
+        for (const [contractId, list] of Object.entries(payload.metrics?.metricsByContract || {})) {
+            // Multiple-choice markets list a metric per answer; the summary row has no answerId
+            const metric = (list || []).find(m => m && !m.answerId) || list?.[0];
+            const contract = contracts.get(contractId);
+            if (!metric?.hasShares || contract?.isResolved || !finite(metric.payout)) continue;
+            const outcome = metric.maxSharesOutcome || 'YES';
+            positions.push({
+                ...marketFor(contractId),
+                outcome,
+                shares: metric.totalShares?.[outcome] ?? null,
+                value: metric.payout,
+                invested: finite(metric.invested) ? metric.invested : null,
+                profit: finite(metric.profit) ? metric.profit : null
+            });
+        }
+        positions.sort((a, b) => b.value - a.value);
+
+        const trades = (Array.isArray(payload.bets) ? payload.bets : [])
+            .filter(bet => bet && isTrade(bet) && finite(bet.createdTime))
+            .sort((a, b) => b.createdTime - a.createdTime)
+            .slice(0, tradeCount)
+            .map(bet => ({
+                ...marketFor(bet.contractId),
+                outcome: bet.outcome,
+                amount: bet.amount,
+                probBefore: finite(bet.probBefore) ? bet.probBefore : null,
+                probAfter: finite(bet.probAfter) ? bet.probAfter : null,
+                time: bet.createdTime
+            }));
+
+        const latest = history.length > 0 ? history[history.length - 1].value
+            : (user.balance || 0) + positions.reduce((sum, p) => sum + p.value, 0);
+        const profit = finite(user.profitCached?.allTime) ? user.profitCached.allTime
+            : finite(user.totalDeposits) ? latest - user.totalDeposits : null;
+
+        return {
+            user: {
+                name: user.name || user.username,
+                username: user.username,
+                url: SAFE_URL.test(user.url || '') ? user.url : `https://manifold.markets/${encodeURIComponent(user.username)}`
+            },
+            netWorth: latest,
+            profit,
+            change: history.length > 1 ? latest - history[0].value : null,
+            history,
+            positions: positions.slice(0, positionCount),
+            trades,
+            fetchedAt: finite(payload.fetchedAt) ? payload.fetchedAt : null,
+            source: payload.source || null
+        };
+    }
+
+    return { API_BASE, FIXTURE_DIR, fixtureFile, load, summarize };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ManifoldPortfolio;
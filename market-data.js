@@ -0,0 +1,235 @@
+// Market Data — adapter layer between market JSON and the Financial Cosmos
+// Reads price or probability history plus order-book depth, in either a
+// generic shape or Manifold's API shape, and turns it into the candles and
+// depth columns ObservatoryAnimation.setMarketData() expects.
+//
+// Accepted payload: { markets: [market, ...] } where each market has
+//   history:     [{ time, value }] | [[time, value]] | Manifold bets ({ createdTime, probAfter })
+//   orderBook:   { bids: [{ price, size }], asks: [{ price, size }] }
+//   limitOrders: Manifold limit-order bets ({ limitProb, orderAmount, amount, outcome, isFilled, isCancelled })
+//
+// loadManifold() builds that payload live from a Manifold account's largest
+// open binary positions. The sample payload in data/markets.fixture.json
+// stands in when Manifold can't be read.
+
+const MarketData = (function () {
+    const FIXTURE_URL = 'data/markets.fixture.json';
+    const MANIFOLD_API = 'https://api.manifold.markets';
+    const MANIFOLD_MARKETS = 3;         // positions fetched; the cosmos draws two
+    const METRICS_LIMIT = 25;
+    const BET_LIMIT = 1000;
+    const REQUEST_TIMEOUT = 10000;      // ms
+
+    function finite(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function readPoint(point) {
+        if (Array.isArray(point)) return { time: point[0], value: point[1] };
+        if (finite(point.probAfter)) return { time: point.createdTime, value: point.probAfter };
+        return { time: point.time ?? point.t, value: point.value ?? point.close ?? point.p };
+    }
+
+    function readSeries(market) {
+        const raw = market.history || market.bets || [];
+        return raw
+            .map(readPoint)
+            .filter(p => finite(p.time) && finite(p.value))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Manifold limit orders: an unfilled YES order is a bid at limitProb,
+    // an unfilled NO order is an offer on the other side of the book.
+    function readLimitOrders(orders) {
+        const depth = [];
+        for (const order of orders) {
+            if (order.isFilled || order.isCancelled || !finite(order.limitProb)) continue;
+            const size = (order.orderAmount || 0) - (order.amount || 0);
+            if (size <= 0) continue;
+            depth.push({ side: order.outcome === 'NO' ? 'ask' : 'bid', price: order.limitProb, size });
+        }
+        return depth;
+    }
+
+    function readDepth(market) {
+        if (market.limitOrders) return readLimitOrders(market.limitOrders);
+        const book = market.orderBook || {};
+        const levels = [];
+        for (const side of ['bids', 'asks']) {
+            for (const level of book[side] || []) {
+                const price = Array.isArray(level) ? level[0] : level.price;
+                const size = Array.isArray(level) ? level[1] : level.size;
+                if (finite(price) && finite(size) && size > 0) {
+                    levels.push({ side: side === 'bids' ? 'bid' : 'ask', price, size });
+                }
+            }
+        }
+        return levels;
+    }
+
+    // Validates and normalises a payload; throws on anything unusable.
+    function normalize(payload) {
+        if (!payload || !Array.isArray(payload.markets)) {
+            throw new TypeError('Market data needs a "markets" array');
+        }
+        const markets = payload.markets.map((market, index) => ({
+            id: market.id || `market-${index}`,
+            title: market.question || market.title || market.id || `Market ${index + 1}`,
+            url: market.url || null,
+            series: readSeries(market),
+            depth: readDepth(market)
+        }));
+        if (!markets.some(m => m.series.length > 1)) {
+            throw new RangeError('Market data has no usable price history');
+        }
+        return { source: payload.source || null, markets };
+    }
+
+    function getJson(url) {
+        return fetchJson(url, { timeout: REQUEST_TIMEOUT, label: 'Market data request' });
+    }
+
+    // The user's open binary markets, largest position first, each with its
+    // bet history and open limit orders
+    async function fetchManifold(username, base) {
+        const api = `${base.replace(/\/+$/, '')}/v0`;
+        const user = await getJson(`${api}/user/${encodeURIComponent(username)}`);
+        if (!user || typeof user.id !== 'string') throw new TypeError(`Manifold has no user "${username}"`);
+        const metrics = await getJson(`${api}/get-user-contract-metrics-with-contracts?${new URLSearchParams({ userId: user.id, limit: METRICS_LIMIT })}`);
+
+        const payout = id => {
+            const list = metrics?.metricsByContract?.[id] || [];
+            const metric = list.find(m => m && !m.answerId) || list[0];
+            return finite(metric?.payout) ? metric.payout : 0;
+        };
+        const contracts = (metrics?.contracts || [])
+            .filter(c => c && typeof c.id === 'string' && c.outcomeType === 'BINARY' && !c.isResolved)
+            .sort((a, b) => payout(b.id) - payout(a.id))
+            .slice(0, MANIFOLD_MARKETS);
+
+        const markets = await Promise.all(contracts.map(async contract => {
+            const [history, limitOrders] = await Promise.all([
+                getJson(`${api}/bets?${new URLSearchParams({ contractId: contract.id, limit: BET_LIMIT })}`),
+                getJson(`${api}/bets?${new URLSearchParams({ contractId: contract.id, kinds: 'open-limit' })}`)
+            ]);
+            return {
+                id: contract.id,
+                question: contract.question,
+                url: contract.url,
+                probability: contract.probability,
+                history,
+                limitOrders
+            };
+        }));
+        return { source: base, user: user.username, markets };
+    }
+
+    // Resolves with a normalised dataset from a JSON payload, or null if it
+    // couldn't be read.
+    async function load(url) {
+        try {
+            return normalize(await getJson(url));
+        } catch (error) {
+            console.warn(`Market data from ${url} unavailable:`, error);
+            return null;
+        }
+    }
+
+    // Resolves with a normalised dataset of the user's positions, or null
+    // if Manifold couldn't be read or they hold no open binary markets.
+    async function loadManifold(username, base = MANIFOLD_API) {
+        try {
+            return normalize(await fetchManifold(username, base));
+        } catch (error) {
+            console.warn(`Manifold market data for ${username} unavailable:`, error);
+            return null;
+        }
+    }
+
+    // Buckets a series into `count` OHLC candles, rescaled into the band the
+    // cosmos draws comfortably (0.25–0.75) while keeping the series' shape.
+    // `raw` keeps the unscaled open and close for labelling.
+    function toCandles(series, count = 80) {
+        if (series.length < 2) return [];
+        const values = series.map(p => p.value);
+        const lo = Math.min(...values), hi = Math.max(...values);
+        const span = Math.max(hi - lo, 0.05);
+        const mid = (hi + lo) / 2;
+        const scale = v => 0.5 + ((v - mid) / span) * 0.5;
+
+        const t0 = series[0].time, t1 = series[series.length - 1].time;
+        const step = (t1 - t0) / count || 1;
+        const candles = [];
+        let cursor = 0;
+        let last = series[0].value;
+        for (let i = 0; i < count; i++) {
+            const end = i === count - 1 ? Infinity : t0 + step * (i + 1);
+            const open = last;
+            let high = open, low = open, close = open;
+            while (cursor < series.length && series[cursor].time < end) {
+                close = series[cursor].value;
+                high = Math.max(high, close);
+                low = Math.min(low, close);
+                cursor++;
+            }
+            last = close;
+            candles.push({
+                open: scale(open),
+                close: scale(close),
+                high: scale(high),
+                low: scale(low),
+                bull: close > open,
+                raw: { open, close }
+            });
+        }
+        return candles;
+    }
+
+    // Cumulative depth from the mid outwards, laid out by price across the
+    // cosmos (-0.9…0.9) with heights in the seeded columns' range. Keeps the
+    // levels nearest the mid, half the columns per side, so a deep book
+    // still shows both sides.
+    function toDepthColumns(levels, count = 45) {
+        const cumulative = (side, keep) => {
+            const sorted = levels
+                .filter(l => l.side === side)
+                .sort((a, b) => side === 'bid' ? b.price - a.price : a.price - b.price)
+                .slice(0, keep);
+            let total = 0;
+            return sorted.map(l => ({ ...l, total: (total += l.size) }));
+        };
+        const book = [...cumulative('bid', Math.ceil(count / 2)), ...cumulative('ask', Math.floor(count / 2))];
+        if (book.length === 0) return [];
+
+        const prices = book.map(l => l.price);
+        const lo = Math.min(...prices), hi = Math.max(...prices);
+        const span = hi - lo || 1;
+        const maxTotal = Math.max(...book.map(l => l.total));
+
+        return book
+            .sort((a, b) => a.price - b.price)
+            .map(l => ({
+                side: l.side,
+                x: ((l.price - lo) / span - 0.5) * 1.8,
+                height: 0.04 + (l.total / maxTotal) * 0.28
+            }));
+    }
+
+    // The first two markets with history feed the two candle formations;
+    // the first market with an order book feeds the depth columns.
+    function toCosmos(dataset, options = {}) {
+        const { candleCount = 80, columnCount = 45 } = options;
+        const withHistory = dataset.markets.filter(m => m.series.length > 1);
+        const withDepth = dataset.markets.find(m => m.depth.length > 0);
+        return {
+            candleSets: withHistory.slice(0, 2).map(m => toCandles(m.series, candleCount)),
+            candleTitles: withHistory.slice(0, 2).map(m => m.title),
+            depth: withDepth ? toDepthColumns(withDepth.depth, columnCount) : [],
+            markets: dataset.markets.map(m => ({ id: m.id, title: m.title, url: m.url }))
+        };
+    }
+
+    return { FIXTURE_URL, MANIFOLD_API, load, loadManifold, normalize, toCandles, toDepthColumns, toCosmos };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = MarketData;
@@ -0,0 +1,76 @@
+// Mock argue.lol — serves data/argue-stats.fixture.json as a live stats endpoint
+//
+//   node mock-argue.js [--port 8788] [--delay 0] [--fail]
+//
+// then open the site with ?argue=http://localhost:8788/api/stats. Each
+// response is stamped as updated now and marked live rather than a
+// fixture; --delay holds responses for that many ms and --fail answers
+// 503, so the card falls back to data/argue-stats.json (or stays plain
+// text while there's no snapshot). To write that snapshot from the mock,
+//   node build-argue-stats.js http://localhost:8788/api/stats --source fixture
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ArgueStats = require('./argue-stats.js');
+
+const FIXTURE = path.join(__dirname, ArgueStats.FIXTURE_URL);
+const ROUTE = '/api/stats';
+
+function parseArgs(argv) {
+    const options = { port: 8788, delay: 0, fail: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--fail') {
+            options.fail = true;
+        } else if (arg === '--port' || arg === '--delay') {
+            const value = Number(argv[++i]);
+            if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} needs a whole number`);
+            options[arg.slice(2)] = value;
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return options;
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(body));
+}
+
+function respond(request, response, options) {
+    const url = new URL(request.url, 'http://localhost');
+    console.log(`${request.method} ${url.pathname}`);
+    if (options.fail) return send(response, 503, { message: 'Mock argue.lol is failing on purpose (--fail)' });
+    if (url.pathname !== ROUTE) return send(response, 404, { message: `No mock for ${url.pathname}` });
+
+    const stats = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+    delete stats.source;
+    stats.updatedAt = new Date().toISOString();
+    send(response, 200, stats);
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+http.createServer((request, response) => {
+    setTimeout(() => {
+        try {
+            respond(request, response, options);
+        } catch (err) {
+            console.error(err);
+            send(response, 500, { message: err.message });
+        }
+    }, options.delay);
+}).listen(options.port, () => {
+    console.log(`Mock argue.lol on http://localhost:${options.port}${ROUTE} (open the site with ?argue=http://localhost:${options.port}${ROUTE})`);
+});
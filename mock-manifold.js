@@ -0,0 +1,83 @@
+// Mock Manifold — serves the fixtures in data/manifold/ as Manifold's v0 API
+//
+//   node mock-manifold.js [--port 8787] [--delay 0] [--fail]
+//
+// then open the site with ?manifold=http://localhost:8787. --delay holds
+// every response for that many ms (the widget's loading state); --fail
+// answers 503 to everything (its error state, or stale once it has cached
+// a good response). Only the routes ManifoldPortfolio uses exist.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ManifoldPortfolio = require('./manifold-portfolio.js');
+
+const FIXTURE_DIR = path.join(__dirname, ManifoldPortfolio.FIXTURE_DIR);
+
+function parseArgs(argv) {
+    const options = { port: 8787, delay: 0, fail: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--fail') {
+            options.fail = true;
+        } else if (arg === '--port' || arg === '--delay') {
+            const value = Number(argv[++i]);
+            if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} needs a whole number`);
+            options[arg.slice(2)] = value;
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return options;
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(body));
+}
+
+function respond(request, response, options) {
+    const url = new URL(request.url, 'http://localhost');
+    const route = url.pathname.replace(/^\/v0\//, '');
+    const file = url.pathname.startsWith('/v0/') ? ManifoldPortfolio.fixtureFile(route) : null;
+    console.log(`${request.method} ${url.pathname}${url.search}`);
+
+    if (options.fail) return send(response, 503, { message: 'Mock Manifold is failing on purpose (--fail)' });
+    if (!file) return send(response, 404, { message: `No mock for ${url.pathname}` });
+
+    let body = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+    if (route.startsWith('user/')) {
+        const username = decodeURIComponent(route.slice('user/'.length));
+        if (username.toLowerCase() !== body.username.toLowerCase()) {
+            return send(response, 404, { message: `User ${username} not found` });
+        }
+    }
+    // The real API honours limit; the rest of the parameters don't matter here
+    const limit = Number(url.searchParams.get('limit'));
+    if (Array.isArray(body) && Number.isInteger(limit) && limit > 0) body = body.slice(0, limit);
+    send(response, 200, body);
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+http.createServer((request, response) => {
+    setTimeout(() => {
+        try {
+            respond(request, response, options);
+        } catch (err) {
+            console.error(err);
+            send(response, 500, { message: err.message });
+        }
+    }, options.delay);
+}).listen(options.port, () => {
+    console.log(`Mock Manifold on http://localhost:${options.port} (open the site with ?manifold=http://localhost:${options.port})`);
+});
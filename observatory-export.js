@@ -0,0 +1,86 @@
+// Observatory Export — offline frame rendering for trailers, OG images and snapshots
+// Drives ObservatoryAnimation.renderFrame at a fixed fps, so output does not
+// depend on how fast this machine can actually draw.
+//
+// A dev tool, so the page doesn't load it; add it from the console:
+//   document.head.append(Object.assign(document.createElement('script'), { src: 'observatory-export.js' }));
+//
+//   ObservatoryExport.exportSequence({ fps: 30, onFrame: (blob, index, elapsed, name) => ... });
+//   ObservatoryExport.exportFrame(36000, { width: 1200, height: 630, download: true });
+
+const ObservatoryExport = (function () {
+    function createSurface(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const surface = document.createElement('canvas');
+        surface.width = width;
+        surface.height = height;
+        return surface;
+    }
+
+    function toBlob(surface, type) {
+        if (surface.convertToBlob) return surface.convertToBlob({ type });
+        return new Promise((resolve, reject) => {
+            surface.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas could not be encoded')), type);
+        });
+    }
+
+    function download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function frameName(prefix, index, type) {
+        return `${prefix}-${String(index).padStart(5, '0')}.${type.split('/')[1]}`;
+    }
+
+    async function renderToBlob(surface, elapsed, width, height, type) {
+        ObservatoryAnimation.renderFrame(surface.getContext('2d'), elapsed, { width, height });
+        return toBlob(surface, type);
+    }
+
+    // Renders frames from `start` to `end` (ms) and hands each to onFrame
+    // with its index, time and a numbered file name. onFrame is required: a
+    // full run is well over a thousand frames, too many to download one by
+    // one. Resolves with the frame count.
+    async function exportSequence(options = {}) {
+        const {
+            fps = 30,
+            width = 1920,
+            height = 1080,
+            start = 0,
+            end = ObservatoryAnimation.getDuration(),
+            type = 'image/png',
+            prefix = 'observatory',
+            onFrame,
+            onProgress = null
+        } = options;
+
+        if (typeof onFrame !== 'function') throw new TypeError('exportSequence needs an onFrame(blob, index, elapsed, name) callback');
+        if (!(fps > 0)) throw new RangeError(`Export fps must be positive, got ${fps}`);
+        if (!(end >= start)) throw new RangeError('Export end must not be before start');
+
+        const surface = createSurface(width, height);
+        const count = Math.floor(((end - start) * fps) / 1000) + 1;
+        for (let i = 0; i < count; i++) {
+            const elapsed = start + (i * 1000) / fps;
+            const blob = await renderToBlob(surface, elapsed, width, height, type);
+            await onFrame(blob, i, elapsed, frameName(prefix, i, type));
+            if (onProgress) onProgress((i + 1) / count);
+        }
+        return count;
+    }
+
+    // Single still, e.g. an OG image of the cosmos. Resolves with the Blob.
+    async function exportFrame(elapsed, options = {}) {
+        const { width = 1200, height = 630, type = 'image/png', download: save = false } = options;
+        const blob = await renderToBlob(createSurface(width, height), elapsed, width, height, type);
+        if (save) download(blob, frameName('observatory', Math.round(elapsed), type));
+        return blob;
+    }
+
+    return { exportSequence, exportFrame };
+})();
@@ -0,0 +1,62 @@
+// Observatory Worker — runs ObservatoryAnimation on an OffscreenCanvas
+// Started by ObservatoryAnimation.start(canvas, fn, { worker: true }). The
+// page's copy of the module posts commands as { type, ...data } and
+// re-emits the events this copy sends back as { type: 'event', name, detail }.
+
+importScripts('clock.js', 'glow-sprites.js', 'spatial-grid.js', 'webgl-particles.js', 'observatory.js');
+
+// Workers without requestAnimationFrame get a timer-driven stand-in
+if (typeof self.requestAnimationFrame !== 'function') {
+    self.requestAnimationFrame = fn => setTimeout(() => fn(performance.now()), 1000 / 60);
+    self.cancelAnimationFrame = id => clearTimeout(id);
+}
+
+let canvas = null;
+let generation = 0;                 // the page's latest seek, echoed on events
+
+for (const name of ['progress', 'phasestart', 'phaseend', 'complete', 'qualitychange', 'rendererchange', 'explore', 'hover', 'error']) {
+    ObservatoryAnimation.on(name, detail => {
+        // Errors don't survive structured cloning intact; send the message
+        if (name === 'error') detail = { message: String(detail?.message || detail) };
+        self.postMessage({ type: 'event', name, detail, generation });
+    });
+}
+
+const commands = {
+    start: function ({ canvas: offscreen, pixelRatio, time, rate, paused, quality, marketData, explore, renderer, generation: current }) {
+        canvas = offscreen;
+        generation = current;
+        ObservatoryAnimation.setQuality(quality);
+        ObservatoryAnimation.setMarketData(marketData);
+        ObservatoryAnimation.start(canvas, null, { pixelRatio, explore, renderer });
+        ObservatoryAnimation.seek(time);
+        ObservatoryAnimation.setPlaybackRate(rate);
+        if (paused) ObservatoryAnimation.pause();
+    },
+    resize: function ({ width, height, pixelRatio }) {
+        if (canvas) ObservatoryAnimation.resize(width, height, pixelRatio);
+    },
+    skip: () => ObservatoryAnimation.skip(),
+    pause: () => ObservatoryAnimation.pause(),
+    resume: () => ObservatoryAnimation.resume(),
+    seek: ({ time, generation: current }) => {
+        generation = current;
+        ObservatoryAnimation.seek(time);
+    },
+    setPlaybackRate: ({ rate }) => ObservatoryAnimation.setPlaybackRate(rate),
+    setQuality: ({ mode }) => ObservatoryAnimation.setQuality(mode),
+    setMarketData: ({ data }) => ObservatoryAnimation.setMarketData(data),
+    panBy: ({ dx, dy }) => ObservatoryAnimation.panBy(dx, dy),
+    zoomAt: ({ x, y, factor }) => ObservatoryAnimation.zoomAt(x, y, factor),
+    resetView: () => ObservatoryAnimation.resetView(),
+    hover: ({ x, y }) => ObservatoryAnimation.hover(x, y),
+    leaveExplore: () => ObservatoryAnimation.leaveExplore()
+};
+
+self.onmessage = ({ data }) => {
+    try {
+        commands[data.type]?.(data);
+    } catch (err) {
+        self.postMessage({ type: 'event', name: 'error', detail: { message: String(err?.message || err) } });
+    }
+};
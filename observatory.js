@@ -1,14 +1,37 @@
 // Observatory Animation — Complete rewrite
 // Continuous zoom from moonlit observatory → through telescope → into financial cosmos
+// Opening act: pan across the dome, step inside, push into the eyepiece
 
 const ObservatoryAnimation = (function () {
+    // w and h are in CSS pixels; the backing store is pixelRatio times larger
     let canvas, ctx, w, h;
-    let startTime = null;
+    let pixelRatio = 1;
+    let clock = null;
+    let clockOffset = 0;
     let onComplete = null;
     let animFrameId = null;
     let skipped = false;
 
-    const DURATION = 32000;
+    // ── Events ──
+    // progress, phasestart, phaseend, complete, error, qualitychange,
+    // rendererchange, explore, hover
+    const listeners = {};
+    let activePhases = new Set();
+
+    function emit(type, detail) {
+        const fns = listeners[type];
+        if (!fns || fns.length === 0) {
+            if (type === 'error') console.error('ObservatoryAnimation:', detail);
+            return;
+        }
+        for (const fn of fns.slice()) fn(detail);
+    }
+
+    // ── Timeline ──
+    // Registered phases, drawn in list order (later entries paint on top).
+    // DURATION is derived from the latest phase end whenever the list changes.
+    let phases = [];
+    let DURATION = 0;
 
     // ── Utilities ──
     function lerp(a, b, t) { return a + (b - a) * t; }
@@ -25,6 +48,162 @@ const ObservatoryAnimation = (function () {
         return function () { s = (s * 16807) % 2147483647; return (s - 1) / 2147483646; };
     }
 
+    // ── Quality governor ──
+    // Tiers scale the particle pools, the radial-gradient glow passes and
+    // the purely decorative layers. In 'auto' the governor watches a smoothed
+    // frame time and steps one tier at a time, with separate down/up
+    // thresholds, dwell times and a cooldown so it never flickers.
+    const QUALITY_TIERS = {
+        high: { particles: 1, glow: true, decor: true },
+        medium: { particles: 0.6, glow: true, decor: false },
+        low: { particles: 0.35, glow: false, decor: false }
+    };
+    const QUALITY_ORDER = ['low', 'medium', 'high'];
+    const GOVERNOR = {
+        smoothing: 0.1,     // EMA weight of the newest frame
+        ignoreAbove: 250,   // ms; tab switches and stalls are not load
+        downAbove: 24,      // ms EMA (≈ 40 fps) before stepping down…
+        downAfter: 1000,    // …held for this long
+        upBelow: 14,        // ms EMA (≈ 70 fps) before stepping up…
+        upAfter: 4000,      // …held for this long
+        cooldown: 2000      // ms between tier changes
+    };
+
+    let qualityMode = 'auto';
+    let qualityTier = 'high';
+    let quality = QUALITY_TIERS.high;
+    let frameAvg = 0, lastFrameAt = null, slowFor = 0, fastFor = 0, sinceChange = 0;
+
+    function setQualityTier(tier) {
+        if (tier === qualityTier) return;
+        const from = qualityTier;
+        qualityTier = tier;
+        quality = QUALITY_TIERS[tier];
+        slowFor = fastFor = sinceChange = 0;
+        emit('qualitychange', { tier, from, mode: qualityMode });
+    }
+
+    function resetGovernor() {
+        frameAvg = 0;
+        lastFrameAt = null;
+        slowFor = fastFor = sinceChange = 0;
+    }
+
+    function monitorFrame(timestamp) {
+        const dt = lastFrameAt === null ? 0 : timestamp - lastFrameAt;
+        lastFrameAt = timestamp;
+        if (qualityMode !== 'auto' || dt <= 0 || dt > GOVERNOR.ignoreAbove) return;
+
+        frameAvg = frameAvg ? lerp(frameAvg, dt, GOVERNOR.smoothing) : dt;
+        slowFor = frameAvg > GOVERNOR.downAbove ? slowFor + dt : 0;
+        fastFor = frameAvg < GOVERNOR.upBelow ? fastFor + dt : 0;
+        sinceChange += dt;
+        if (sinceChange < GOVERNOR.cooldown) return;
+
+        const i = QUALITY_ORDER.indexOf(qualityTier);
+        if (slowFor >= GOVERNOR.downAfter && i > 0) setQualityTier(QUALITY_ORDER[i - 1]);
+        else if (fastFor >= GOVERNOR.upAfter && i < QUALITY_ORDER.length - 1) setQualityTier(QUALITY_ORDER[i + 1]);
+    }
+
+    // How many of a pool's leading entries to draw at the current tier.
+    // Pools are seeded uniformly, so a prefix is an even thinning of the
+    // scene; callers index up to this count rather than copying the prefix.
+    function visibleCount(pool) {
+        if (quality.particles >= 1) return pool.length;
+        return Math.ceil(pool.length * quality.particles);
+    }
+
+    // ── WebGL particle layer ──
+    // With options.renderer 'webgl' (or 'auto' on a capable GPU) the
+    // particle pools — dome and galaxy stars, dust, comet heads and lens
+    // rings — are queued on a WebGLParticles layer drawing into an offscreen
+    // canvas. Each pool asks particleBatch() once, which hands the layer the
+    // 2D transform and alpha in effect, so zoom, the explore camera and
+    // phase fades carry over; compositeParticles() then copies the pass into
+    // the 2D canvas right where the pool was drawn, so the dome, telescope
+    // and crossfades still layer over it. That is up to five full-canvas
+    // copies a frame, so the default stays on Canvas 2D until timings show
+    // the GL path coming out ahead.
+    const RENDERERS = ['auto', 'webgl', 'canvas'];
+    const PARTICLE_RGB = {
+        skyStar: [220, 225, 255],
+        dust: [200, 210, 240],
+        dustShade: [120, 125, 150],
+        dustGlow: [180, 190, 230],
+        lens: [140, 155, 200]
+    };
+    let rendererMode = 'canvas';
+    let renderer = 'canvas';
+    let particleLayer = null;
+
+    // OffscreenCanvas where there is one (always, in the worker)
+    function createParticleCanvas() {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(canvas.width, canvas.height);
+        if (typeof document === 'undefined') return null;
+        const el = document.createElement('canvas');
+        el.width = canvas.width;
+        el.height = canvas.height;
+        return el;
+    }
+
+    function createParticleLayer() {
+        if (rendererMode === 'canvas' || lowMotion || typeof WebGLParticles === 'undefined') return null;
+        const particleCanvas = createParticleCanvas();
+        if (!particleCanvas) return null;
+        // 'auto' turns down software GL, which would be slower than 2D
+        const layer = WebGLParticles.create(particleCanvas, { failIfMajorPerformanceCaveat: rendererMode === 'auto' });
+        if (!layer && rendererMode === 'webgl') {
+            console.warn('ObservatoryAnimation: WebGL2 unavailable, drawing particles with Canvas 2D');
+        }
+        return layer;
+    }
+
+    function useParticleLayer(layer) {
+        particleLayer = layer;
+        renderer = layer ? 'webgl' : 'canvas';
+        emit('rendererchange', { renderer, mode: rendererMode });
+    }
+
+    function particleBatch() {
+        if (!particleLayer) return null;
+        particleLayer.begin();
+        particleLayer.setTransform(ctx.getTransform(), ctx.globalAlpha);
+        return particleLayer;
+    }
+
+    // Draws a pool's queued sprites and copies them into the 2D canvas
+    // additively, as the pool's own arcs and glows would have landed
+    function compositeParticles(batch) {
+        if (!batch || batch.count === 0) return;
+        batch.flush();
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.drawImage(batch.canvas, 0, 0);
+        ctx.restore();
+    }
+
+    // ── Glow sprites ──
+    // Fixed-colour halos; galaxy stars carry their own per-hue glow.
+    const GLOWS = {
+        dust: GlowSprites.define([[0, 'rgb(180, 190, 230)'], [1, 'rgb(180, 190, 230)']]),
+        ghost: GlowSprites.define([
+            [0, 'rgba(150, 170, 255, 0.1)'],
+            [0.5, 'rgba(100, 120, 210, 0.04)'],
+            [1, GlowSprites.TRANSPARENT]
+        ]),
+        pair: GlowSprites.halo('rgb(255, 250, 200)'),
+        neuron: GlowSprites.halo('rgb(100, 145, 255)'),
+        gas: GlowSprites.halo('rgb(150, 100, 210)'),
+        sentiment: GlowSprites.halo('rgb(255, 225, 110)'),
+        halo: GlowSprites.define([
+            [0, 'rgb(200, 180, 255)'],
+            [0.5, 'rgba(150, 130, 225, 0.4)'],
+            [1, GlowSprites.TRANSPARENT]
+        ], 0.2)
+    };
+
     // ── Particle pools ──
     let dust, lensRings, stars, neural, candles, comets, orderCols, bgStars;
 
@@ -81,7 +260,7 @@ const ObservatoryAnimation = (function () {
             else if (sec === 1) { hue = 30; sat = 92; }
             else if (sec === 2) { hue = 150; sat = 75; }
             else { hue = 275; sat = 70; }
-            stars.push({
+            const star = {
                 angle: spiral, dist,
                 size: 0.4 + r() * 3,
                 hue: hue + (r() - 0.5) * 22, sat,
@@ -89,7 +268,9 @@ const ObservatoryAnimation = (function () {
                 twPhase: r() * Math.PI * 2,
                 twSpeed: 0.3 + r() * 2.5,
                 ySkew: 0.45 + r() * 0.45
-            });
+            };
+            star.glow = GlowSprites.halo(GlowSprites.hsl(star.hue, sat, 72));
+            stars.push(star);
         }
 
         // Neural network
@@ -101,13 +282,12 @@ const ObservatoryAnimation = (function () {
                 pPhase: r() * Math.PI * 2, pSpeed: 0.3 + r() * 1.8
             });
         }
-        for (let i = 0; i < neural.nodes.length; i++)
-            for (let j = i + 1; j < neural.nodes.length; j++) {
-                const dx = neural.nodes[i].x - neural.nodes[j].x;
-                const dy = neural.nodes[i].y - neural.nodes[j].y;
-                if (Math.sqrt(dx * dx + dy * dy) < 0.26 && r() > 0.3)
-                    neural.edges.push({ from: i, to: j, str: 0.25 + r() * 0.75 });
-            }
+        const neuralGrid = new SpatialGrid(0.26);
+        for (const node of neural.nodes) neuralGrid.insert(node.x, node.y);
+        neuralGrid.forEachPair(0.26, (i, j, dist) => {
+            if (dist < 0.26 && r() > 0.3)
+                neural.edges.push({ from: i, to: j, str: 0.25 + r() * 0.75 });
+        });
 
         // Candlesticks
         candles = [];
@@ -146,22 +326,93 @@ const ObservatoryAnimation = (function () {
                 phase: r() * Math.PI * 2
             });
         }
+        proceduralOrderCols = orderCols;
+
+        applyMarketData();
+    }
+
+    // ── Market data ──
+    // Optional real series from MarketData.toCosmos(). Replaces the seeded
+    // candles and order-book columns but keeps their animation parameters,
+    // so the rest of the cosmos stays identical with or without data.
+    let marketData = null;
+    let proceduralOrderCols = [];
+    let candleSets = [];
+    let candleTitles = [];
+    let candleWobble = 1;
+
+    function applyMarketData() {
+        candleSets = [candles, candles];
+        candleTitles = [null, null];
+        candleWobble = 1;
+        orderCols = proceduralOrderCols;
+        if (!marketData) return;
+
+        const sets = marketData.candleSets
+            .map((set, i) => ({ set, title: marketData.candleTitles?.[i] || null }))
+            .filter(entry => entry.set.length > 0);
+        if (sets.length > 0) {
+            const [first, second = first] = sets;
+            candleSets = [first.set, second.set];
+            candleTitles = [first.title, second.title];
+            candleWobble = 0.3;
+        }
+        if (marketData.depth.length > 0) {
+            orderCols = marketData.depth.slice(0, proceduralOrderCols.length).map((level, i) => ({
+                ...proceduralOrderCols[i],
+                x: level.x,
+                height: level.height,
+                hue: level.side === 'bid' ? 135 : 355
+            }));
+        }
     }
 
     // ── Global zoom: continuous forward motion throughout the animation ──
-    // This single variable drives the fluid "flying through" feel
+    // This single variable drives the fluid "flying through" feel. Each key
+    // sits at a point (0-1) in a stock phase's own window, so the curve
+    // follows those phases when they're re-timed and ignores phases added
+    // around them; keys whose phase has been removed are dropped.
+    const ZOOM_KEYS = [
+        { phase: 'exterior', at: 0, zoom: 1 },
+        { phase: 'interior', at: 0, zoom: 1.2, ease: easeInOut },     // dolly on the dome
+        { phase: 'interior', at: 1, zoom: 4, ease: easeIn },          // inside, toward eyepiece
+        { phase: 'approach', at: 1, zoom: 15, ease: easeIn },
+        { phase: 'optics', at: 0.8, zoom: 1000, ease: easeInOut }
+    ];
+    let zoomKeys = [];
+
+    // Resolves ZOOM_KEYS to times; a key that would fall before the one
+    // ahead of it (phases re-timed out of order) is skipped
+    function updateZoomKeys() {
+        zoomKeys = [];
+        for (const key of ZOOM_KEYS) {
+            const phase = phases.find(p => p.name === key.phase);
+            if (!phase) continue;
+            const time = lerp(phase.start, phase.end, key.at);
+            const last = zoomKeys[zoomKeys.length - 1];
+            if (last && time < last.time) continue;
+            zoomKeys.push({ time, zoom: key.zoom, ease: key.ease });
+        }
+    }
+
     function getZoom(elapsed) {
-        const t = elapsed / DURATION;
-        // Slow at start, accelerates in middle, slows at end
-        if (t < 0.28) return 1 + easeIn(t / 0.28) * 14;         // 1 → 15
-        if (t < 0.45) return 15 + easeInOut((t - 0.28) / 0.17) * 985; // 15 → 1000
-        return 1000;
+        if (zoomKeys.length === 0) return 1;
+        let from = zoomKeys[0];
+        if (elapsed <= from.time) return from.zoom;
+        for (let i = 1; i < zoomKeys.length; i++) {
+            const to = zoomKeys[i];
+            if (elapsed < to.time) {
+                return from.zoom + to.ease((elapsed - from.time) / (to.time - from.time)) * (to.zoom - from.zoom);
+            }
+            from = to;
+        }
+        return from.zoom;
     }
 
     // ══════════════════════════════════════════════════════════════
     //  EXTERIOR OBSERVATORY SCENE — cinematic pan across the dome
     // ══════════════════════════════════════════════════════════════
-    function drawExteriorObservatory(t, elapsed) {
+    function drawExteriorObservatory(t, elapsed, zoom) {
         const fadeIn = smoothstep(0, 0.15, t);
         const fadeOut = 1 - smoothstep(0.82, 1, t);
         const a = fadeIn * fadeOut;
@@ -171,11 +422,18 @@ const ObservatoryAnimation = (function () {
         const driftY = Math.sin(elapsed * 0.00025) * 6;
         const cameraOffset = lerp(-w * 0.2, w * 0.05, pan);
 
+        const horizonY = h * 0.68;
+
         ctx.save();
-        ctx.globalAlpha = a;
+        ctx.globalAlpha *= a;
         ctx.translate(cameraOffset, driftY);
 
-        const horizonY = h * 0.68;
+        // Dolly toward the slit as the zoom builds
+        const slitX = w * 0.55, slitY = horizonY - 35 - Math.min(w, h) * 0.11;
+        ctx.translate(slitX, slitY);
+        ctx.scale(zoom, zoom);
+        ctx.translate(-slitX, -slitY);
+
         const sky = ctx.createLinearGradient(0, 0, 0, h);
         sky.addColorStop(0, '#f9a947');
         sky.addColorStop(0.35, '#f36b3a');
@@ -341,10 +599,25 @@ const ObservatoryAnimation = (function () {
         if (a <= 0) return;
 
         ctx.save();
-        ctx.globalAlpha = a;
+        ctx.globalAlpha *= a;
 
         const cx = w / 2, cy = h / 2;
 
+        // ── Camera — push toward the eyepiece as the zoom builds ──
+        const teleY = h * 0.54;
+        const tLen = w * 0.38;
+        const tilt = -0.06;
+        const eyeX = cx - Math.cos(tilt) * (tLen / 2 + 2);
+        const eyeY = teleY - Math.sin(tilt) * (tLen / 2 + 2);
+        const track = smoothstep(1.2, 2.4, zoom);
+        const focusX = lerp(cx, eyeX, track), focusY = lerp(cy, eyeY, track);
+
+        ctx.fillStyle = '#08090f';
+        ctx.fillRect(0, 0, w, h);
+        ctx.translate(cx, cy);
+        ctx.scale(zoom, zoom);
+        ctx.translate(-focusX, -focusY);
+
         // ── Deep blue ambient background (NOT black) ──
         const ambientG = ctx.createRadialGradient(cx, cy * 0.3, 0, cx, cy, Math.max(w, h) * 0.8);
         ambientG.addColorStop(0, '#141828');
@@ -354,15 +627,22 @@ const ObservatoryAnimation = (function () {
         ctx.fillRect(0, 0, w, h);
 
         // ── Stars visible through dome slit ──
-        for (const s of bgStars) {
+        const skyBatch = particleBatch();
+        for (let i = 0, n = visibleCount(bgStars); i < n; i++) {
+            const s = bgStars[i];
             const sx = cx + (s.x - 0.5) * w * 0.12;
             const sy = s.y * h * 0.35;
             const tw = 0.5 + 0.5 * Math.sin(elapsed * 0.002 * s.speed + s.twinkle);
+            if (skyBatch) {
+                skyBatch.disc(sx, sy, s.size * tw, PARTICLE_RGB.skyStar, s.brightness * tw * 0.8);
+                continue;
+            }
             ctx.beginPath();
             ctx.arc(sx, sy, s.size * tw, 0, Math.PI * 2);
             ctx.fillStyle = `rgba(220, 225, 255, ${s.brightness * tw * 0.8})`;
             ctx.fill();
         }
+        compositeParticles(skyBatch);
 
         // ── Dome — proper hemisphere with ribs and panels ──
         const domeX = cx, domeY = h * 0.48;
@@ -471,7 +751,9 @@ const ObservatoryAnimation = (function () {
         ctx.fill();
 
         // ── Dust particles (bright, clearly visible in beams) ──
-        for (const p of dust) {
+        const dustBatch = particleBatch();
+        for (let i = 0, n = visibleCount(dust); i < n; i++) {
+            const p = dust[i];
             const px = (p.x * w + Math.sin(elapsed * 0.0003 + p.phase) * 25 + p.vx * elapsed * 0.02) % w;
             const py = (p.y * h + elapsed * p.vy * 0.02 + h) % h;
 
@@ -484,6 +766,15 @@ const ObservatoryAnimation = (function () {
             const alpha = p.opacity * flicker * beamMul;
             if (alpha < 0.02) continue;
 
+            if (dustBatch) {
+                if (inBeam) dustBatch.disc(px, py, p.size * 1.3, PARTICLE_RGB.dust, clamp(alpha, 0, 1));
+                else dustBatch.disc(px, py, p.size * 0.7, PARTICLE_RGB.dustShade, clamp(alpha * 0.5, 0, 0.3));
+                if (quality.glow && alpha > 0.5 && inBeam) {
+                    dustBatch.disc(px, py, p.size * 4, PARTICLE_RGB.dustGlow, alpha * 0.1);
+                }
+                continue;
+            }
+
             ctx.beginPath();
             ctx.arc(px, py, p.size * (inBeam ? 1.3 : 0.7), 0, Math.PI * 2);
             ctx.fillStyle = inBeam
@@ -492,13 +783,11 @@ const ObservatoryAnimation = (function () {
             ctx.fill();
 
             // Glow on bright dust
-            if (alpha > 0.5 && inBeam) {
-                ctx.beginPath();
-                ctx.arc(px, py, p.size * 4, 0, Math.PI * 2);
-                ctx.fillStyle = `rgba(180, 190, 230, ${alpha * 0.1})`;
-                ctx.fill();
+            if (quality.glow && alpha > 0.5 && inBeam) {
+                GlowSprites.draw(ctx, GLOWS.dust, px, py, p.size * 4, alpha * 0.1);
             }
         }
+        compositeParticles(dustBatch);
 
         // ── Floor ──
         const floorY = h * 0.78;
@@ -525,10 +814,7 @@ const ObservatoryAnimation = (function () {
         ctx.fillRect(cx - beamSpread * 1.5, floorY, beamSpread * 3, h - floorY);
 
         // ── TELESCOPE — realistic refractor on equatorial mount ──
-        const teleY = h * 0.54;
-        const tLen = w * 0.38;
         const tubeR = Math.min(w, h) * 0.035; // tube radius
-        const tilt = -0.06;
 
         ctx.save();
         ctx.translate(cx, teleY);
@@ -771,7 +1057,7 @@ const ObservatoryAnimation = (function () {
         if (a <= 0) return;
 
         ctx.save();
-        ctx.globalAlpha = a;
+        ctx.globalAlpha *= a;
 
         const cx = w / 2, cy = h / 2;
         const maxR = Math.hypot(w, h) * 0.62;
@@ -844,7 +1130,7 @@ const ObservatoryAnimation = (function () {
         }
 
         // Machining grooves (fine concentric lines mid-approach)
-        if (t > 0.3 && t < 0.8) {
+        if (quality.decor && t > 0.3 && t < 0.8) {
             const gA = smoothstep(0.3, 0.5, t) * (1 - smoothstep(0.65, 0.8, t)) * 0.22;
             for (let i = 0; i < 30; i++) {
                 const gr = radius * (0.82 + i * 0.006);
@@ -892,7 +1178,7 @@ const ObservatoryAnimation = (function () {
         if (a <= 0) return;
 
         ctx.save();
-        ctx.globalAlpha = a;
+        ctx.globalAlpha *= a;
 
         // Slightly blue-tinted darkness
         ctx.fillStyle = '#04060f';
@@ -912,6 +1198,7 @@ const ObservatoryAnimation = (function () {
         ctx.fillRect(0, 0, w, h);
 
         // ── Lens elements floating in sequence ──
+        const lensBatch = particleBatch();
         for (const ring of lensRings) {
             const relZ = ring.z * 10 - camZ;
             if (relZ < 0.05 || relZ > 4) continue;
@@ -930,9 +1217,13 @@ const ObservatoryAnimation = (function () {
             lg.addColorStop(1, `rgba(100, 115, 170, ${0.5 * Math.min(1, persp * 0.7)})`);
             ctx.fillStyle = lg;
             ctx.fill();
-            ctx.strokeStyle = `rgba(140, 155, 200, ${0.45 * Math.min(1, persp * 0.7)})`;
-            ctx.lineWidth = ring.thickness * persp;
-            ctx.stroke();
+            if (lensBatch) {
+                lensBatch.ring(cx, cy, sr, ring.thickness * persp, PARTICLE_RGB.lens, 0.45 * Math.min(1, persp * 0.7));
+            } else {
+                ctx.strokeStyle = `rgba(140, 155, 200, ${0.45 * Math.min(1, persp * 0.7)})`;
+                ctx.lineWidth = ring.thickness * persp;
+                ctx.stroke();
+            }
 
             // Prismatic refraction — vivid rainbow bands
             const hues = [0, 30, 55, 120, 200, 275];
@@ -949,6 +1240,9 @@ const ObservatoryAnimation = (function () {
                 ctx.stroke();
             }
         }
+        // One pass for all the rims: they land over the glass and bands of
+        // the rings in front, which are faint enough not to show the swap
+        compositeParticles(lensBatch);
 
         // ── Chromatic aberration — blue/red at edges (stronger) ──
         const abStr = 3 + t * 8;
@@ -964,19 +1258,14 @@ const ObservatoryAnimation = (function () {
         ctx.stroke();
 
         // ── Ghost images (brighter, more visible) ──
-        for (let g = 0; g < 5; g++) {
-            const gPhase = (elapsed * 0.0005 + g * 1.3) % 3;
-            const gr = minDim * (0.03 + gPhase * 0.05);
-            const gx = cx + Math.cos(elapsed * 0.0003 + g * 1.4) * minDim * 0.1;
-            const gy = cy + Math.sin(elapsed * 0.0004 + g * 1.8) * minDim * 0.08;
-            const gg = ctx.createRadialGradient(gx, gy, 0, gx, gy, gr);
-            gg.addColorStop(0, `rgba(150, 170, 255, ${0.1})`);
-            gg.addColorStop(0.5, `rgba(100, 120, 210, ${0.04})`);
-            gg.addColorStop(1, 'rgba(0,0,0,0)');
-            ctx.fillStyle = gg;
-            ctx.beginPath();
-            ctx.arc(gx, gy, gr, 0, Math.PI * 2);
-            ctx.fill();
+        if (quality.decor) {
+            for (let g = 0; g < 5; g++) {
+                const gPhase = (elapsed * 0.0005 + g * 1.3) % 3;
+                const gr = minDim * (0.03 + gPhase * 0.05);
+                const gx = cx + Math.cos(elapsed * 0.0003 + g * 1.4) * minDim * 0.1;
+                const gy = cy + Math.sin(elapsed * 0.0004 + g * 1.8) * minDim * 0.08;
+                GlowSprites.draw(ctx, GLOWS.ghost, gx, gy, gr);
+            }
         }
 
         // ── Mechanical baffles ──
@@ -1063,7 +1352,7 @@ const ObservatoryAnimation = (function () {
         if (a <= 0) return;
 
         ctx.save();
-        ctx.globalAlpha = a;
+        ctx.globalAlpha *= a;
 
         ctx.fillStyle = '#040610';
         ctx.fillRect(0, 0, w, h);
@@ -1212,7 +1501,7 @@ const ObservatoryAnimation = (function () {
         if (a <= 0) return;
 
         ctx.save();
-        ctx.globalAlpha = a;
+        ctx.globalAlpha *= a;
 
         // Deep space — slightly blue, not pure black
         ctx.fillStyle = '#020410';
@@ -1240,32 +1529,38 @@ const ObservatoryAnimation = (function () {
         ctx.stroke();
 
         // ── Galaxy stars ──
-        for (const star of stars) {
+        const starBatch = particleBatch();
+        for (let i = 0, n = visibleCount(stars); i < n; i++) {
+            const star = stars[i];
             const ra = star.angle + cosRot;
             const sx = cx + Math.cos(ra) * star.dist * scale;
             const sy = cy + Math.sin(ra) * star.dist * star.ySkew * scale;
             const tw = 0.45 + 0.55 * Math.sin(elapsed * 0.002 * star.twSpeed + star.twPhase);
             const br = star.br * tw;
 
+            if (starBatch) {
+                starBatch.disc(sx, sy, star.size * (0.7 + br * 0.5), WebGLParticles.hsl(star.hue, star.sat, 40 + br * 35), br * 0.85);
+                if (quality.glow && br > 0.5) {
+                    star.glowRgb ||= WebGLParticles.hsl(star.hue, star.sat, 72);
+                    starBatch.glow(sx, sy, star.size * 6, star.glowRgb, br * 0.2);
+                }
+                continue;
+            }
+
             ctx.beginPath();
             ctx.arc(sx, sy, star.size * (0.7 + br * 0.5), 0, Math.PI * 2);
             ctx.fillStyle = `hsla(${star.hue}, ${star.sat}%, ${40 + br * 35}%, ${br * 0.85})`;
             ctx.fill();
 
-            if (br > 0.5) {
-                const sg = ctx.createRadialGradient(sx, sy, 0, sx, sy, star.size * 6);
-                sg.addColorStop(0, `hsla(${star.hue}, ${star.sat}%, 72%, ${br * 0.2})`);
-                sg.addColorStop(1, 'rgba(0,0,0,0)');
-                ctx.fillStyle = sg;
-                ctx.beginPath();
-                ctx.arc(sx, sy, star.size * 6, 0, Math.PI * 2);
-                ctx.fill();
+            if (quality.glow && br > 0.5) {
+                GlowSprites.draw(ctx, star.glow, sx, sy, star.size * 6, br * 0.2);
             }
         }
+        compositeParticles(starBatch);
 
         // ── Filaments (supply chains / capital flows) ──
         ctx.lineWidth = 0.4;
-        for (let i = 0; i < stars.length - 1; i += 3) {
+        for (let i = 0, n = visibleCount(stars); i < n - 1; i += 3) {
             const s1 = stars[i], s2 = stars[i + 1];
             const r1 = s1.angle + cosRot, r2 = s2.angle + cosRot;
             const x1 = cx + Math.cos(r1) * s1.dist * scale;
@@ -1289,12 +1584,13 @@ const ObservatoryAnimation = (function () {
                 const bx = side === 0 ? w * 0.02 : w * 0.86;
                 const cS = h * 0.32;
                 const columnDrift = Math.sin(elapsed * 0.0005 + side) * w * 0.015;
-                for (let i = 0; i < candles.length; i++) {
-                    const c = candles[i];
+                const series = candleSets[side];
+                for (let i = 0; i < series.length; i++) {
+                    const c = series[i];
                     const horizontalWave = Math.sin(elapsed * 0.0018 + i * 0.3 + side) * 8 * candleP;
-                    const cx_ = bx + columnDrift + (i / candles.length) * w * 0.12 + horizontalWave;
-                    const volatility = Math.sin(elapsed * 0.003 + i * 0.22 + side * 0.5) * 0.08 * candleP;
-                    const bias = Math.cos(elapsed * 0.001 + i * 0.12) * 0.02;
+                    const cx_ = bx + columnDrift + (i / series.length) * w * 0.12 + horizontalWave;
+                    const volatility = Math.sin(elapsed * 0.003 + i * 0.22 + side * 0.5) * 0.08 * candleP * candleWobble;
+                    const bias = Math.cos(elapsed * 0.001 + i * 0.12) * 0.02 * candleWobble;
 
                     const open = clampPrice(c.open + volatility + bias);
                     const close = clampPrice(c.close + volatility * 0.9 - bias * 0.5);
@@ -1320,6 +1616,9 @@ const ObservatoryAnimation = (function () {
                     ctx.stroke();
                     ctx.fillStyle = col;
                     ctx.fillRect(cx_ - bodyWidth / 2, bTop, bodyWidth, Math.max(1, bBot - bTop));
+                    if (hitTargets) {
+                        addHitTarget('candle', cx_, (wTop + wBot) / 2, bodyWidth / 2, (wBot - wTop) / 2, { side, candle: c });
+                    }
                 }
             }
         }
@@ -1361,28 +1660,33 @@ const ObservatoryAnimation = (function () {
                     ctx.fillStyle = `hsla(${si === 0 ? pr.h1 : pr.h2}, 85%, 65%, ${pA})`;
                     ctx.fill();
                 }
-                const spG = ctx.createRadialGradient(pcx, pcy, 0, pcx, pcy, oR * 4);
-                spG.addColorStop(0, `rgba(255, 250, 200, ${pA * 0.1 * (0.5 + 0.5 * Math.sin(elapsed * 0.004))})`);
-                spG.addColorStop(1, 'rgba(0,0,0,0)');
-                ctx.fillStyle = spG;
-                ctx.beginPath();
-                ctx.arc(pcx, pcy, oR * 4, 0, Math.PI * 2);
-                ctx.fill();
+                if (quality.glow) {
+                    const spA = pA * 0.1 * (0.5 + 0.5 * Math.sin(elapsed * 0.004));
+                    GlowSprites.draw(ctx, GLOWS.pair, pcx, pcy, oR * 4, spA);
+                }
             }
         }
 
         // ── Derivative comets ──
         const cometP = smoothstep(0.15, 0.35, t);
         if (cometP > 0) {
-            for (const cm of comets) {
+            const cometBatch = particleBatch();
+            for (let i = 0, n = visibleCount(comets); i < n; i++) {
+                const cm = comets[i];
                 const ca = cm.phase + elapsed * cm.speed;
                 const cr = cm.radius * scale;
                 const hx = cx + Math.cos(ca) * cr;
                 const hy = cy + Math.sin(ca) * cr * (1 - cm.ecc * 0.45);
-                ctx.beginPath();
-                ctx.arc(hx, hy, 2.5, 0, Math.PI * 2);
-                ctx.fillStyle = `hsla(${cm.hue}, 75%, 70%, ${cometP * 0.65})`;
-                ctx.fill();
+                if (cometBatch) {
+                    cm.rgb ||= WebGLParticles.hsl(cm.hue, 75, 70);
+                    cometBatch.disc(hx, hy, 2.5, cm.rgb, cometP * 0.65);
+                } else {
+                    ctx.beginPath();
+                    ctx.arc(hx, hy, 2.5, 0, Math.PI * 2);
+                    ctx.fillStyle = `hsla(${cm.hue}, 75%, 70%, ${cometP * 0.65})`;
+                    ctx.fill();
+                }
+                if (hitTargets) addHitTarget('comet', hx, hy, 2.5, 2.5);
                 ctx.beginPath();
                 ctx.moveTo(hx, hy);
                 for (let ti = 1; ti <= cm.tail; ti++) {
@@ -1393,6 +1697,7 @@ const ObservatoryAnimation = (function () {
                 ctx.lineWidth = 1.2;
                 ctx.stroke();
             }
+            compositeParticles(cometBatch);
         }
 
         // ── Neural networks ──
@@ -1417,13 +1722,10 @@ const ObservatoryAnimation = (function () {
                 ctx.arc(nx, ny, nd.size * pulse, 0, Math.PI * 2);
                 ctx.fillStyle = `rgba(120, 165, 255, ${neuralP * 0.35 * pulse})`;
                 ctx.fill();
-                const ng = ctx.createRadialGradient(nx, ny, 0, nx, ny, nd.size * 4);
-                ng.addColorStop(0, `rgba(100, 145, 255, ${neuralP * 0.15 * pulse})`);
-                ng.addColorStop(1, 'rgba(0,0,0,0)');
-                ctx.fillStyle = ng;
-                ctx.beginPath();
-                ctx.arc(nx, ny, nd.size * 4, 0, Math.PI * 2);
-                ctx.fill();
+                if (quality.glow) {
+                    GlowSprites.draw(ctx, GLOWS.neuron, nx, ny, nd.size * 4, neuralP * 0.15 * pulse);
+                }
+                if (hitTargets) addHitTarget('neuron', nx, ny, nd.size, nd.size);
             }
 
             // Gradient-propagation shockwave
@@ -1440,19 +1742,13 @@ const ObservatoryAnimation = (function () {
         }
 
         // ── Gas clouds (training data) ──
-        if (t > 0.12 && t < 0.7) {
+        if (quality.decor && t > 0.12 && t < 0.7) {
             const clA = smoothstep(0.12, 0.25, t) * (1 - smoothstep(0.5, 0.7, t)) * 0.08;
             for (let i = 0; i < 7; i++) {
                 const clx = cx + Math.cos(i * 1.05 + elapsed * 0.00003) * scale * (0.5 + i * 0.07);
                 const cly = cy + Math.sin(i * 1.4 + elapsed * 0.00003) * scale * (0.4 + i * 0.05);
                 const clr = minDim * (0.045 + 0.03 * Math.sin(elapsed * 0.0003 + i));
-                const cg = ctx.createRadialGradient(clx, cly, 0, clx, cly, clr);
-                cg.addColorStop(0, `rgba(150, 100, 210, ${clA})`);
-                cg.addColorStop(1, 'rgba(0,0,0,0)');
-                ctx.fillStyle = cg;
-                ctx.beginPath();
-                ctx.arc(clx, cly, clr, 0, Math.PI * 2);
-                ctx.fill();
+                GlowSprites.draw(ctx, GLOWS.gas, clx, cly, clr, clA);
             }
         }
 
@@ -1491,37 +1787,24 @@ const ObservatoryAnimation = (function () {
         }
 
         // ── Sentiment indicators ──
-        if (t > 0.2) {
+        if (quality.decor && t > 0.2) {
             const sA = smoothstep(0.2, 0.4, t) * 0.06;
             for (let i = 0; i < 5; i++) {
                 const sp = 0.3 + 0.7 * Math.sin(elapsed * 0.0008 + i * 2.3);
                 const sx = cx + Math.cos(i * 1.5 + 0.5) * scale * 0.38;
                 const sy = cy + Math.sin(i * 1.5 + 0.5) * scale * 0.32;
-                const sg = ctx.createRadialGradient(sx, sy, 0, sx, sy, minDim * 0.065);
-                sg.addColorStop(0, `rgba(255, 225, 110, ${sA * sp})`);
-                sg.addColorStop(1, 'rgba(0,0,0,0)');
-                ctx.fillStyle = sg;
-                ctx.beginPath();
-                ctx.arc(sx, sy, minDim * 0.065, 0, Math.PI * 2);
-                ctx.fill();
+                GlowSprites.draw(ctx, GLOWS.sentiment, sx, sy, minDim * 0.065, sA * sp);
             }
         }
 
         // ── Probabilistic halos ──
-        if (t > 0.3) {
+        if (quality.decor && t > 0.3) {
             const hA = smoothstep(0.3, 0.5, t) * 0.1;
             for (let i = 0; i < 4; i++) {
                 const hx = cx + Math.cos(i * 1.7 + 0.8) * scale * 0.3;
                 const hy = cy + Math.sin(i * 1.7 + 0.8) * scale * 0.24;
                 const hr = minDim * 0.06 + Math.sin(elapsed * 0.001 + i) * minDim * 0.018;
-                const hg = ctx.createRadialGradient(hx, hy, hr * 0.2, hx, hy, hr);
-                hg.addColorStop(0, `rgba(200, 180, 255, ${hA})`);
-                hg.addColorStop(0.5, `rgba(150, 130, 225, ${hA * 0.4})`);
-                hg.addColorStop(1, 'rgba(0,0,0,0)');
-                ctx.fillStyle = hg;
-                ctx.beginPath();
-                ctx.arc(hx, hy, hr, 0, Math.PI * 2);
-                ctx.fill();
+                GlowSprites.draw(ctx, GLOWS.halo, hx, hy, hr, hA);
             }
         }
 
@@ -1534,6 +1817,10 @@ const ObservatoryAnimation = (function () {
             ];
             for (const sys of systems) {
                 const scx = cx + sys.x * scale, scy = cy + sys.y * scale;
+                if (hitTargets) {
+                    const reach = (sys.base + (sys.n - 1) * 0.022) * scale;
+                    addHitTarget('system', scx, scy, reach, reach, { planets: sys.n });
+                }
                 ctx.beginPath();
                 ctx.arc(scx, scy, 4, 0, Math.PI * 2);
                 ctx.fillStyle = `hsla(${sys.col}, 75%, 72%, ${ltA * 0.7})`;
@@ -1557,72 +1844,784 @@ const ObservatoryAnimation = (function () {
         ctx.restore();
     }
 
+    // ══════════════════════════════════════════════════════════════
+    //  TIMELINE — registered phases with windows and crossfades
+    // ══════════════════════════════════════════════════════════════
+    // Generous overlaps between the stock phases keep transitions fluid;
+    // each draw function handles its own fade at the window edges.
+    function defaultPhases() {
+        return [
+            { name: 'exterior', label: 'Observatory', draw: drawExteriorObservatory, start: 0, end: 6000 },   // 0-6s: Pan across the dome
+            { name: 'interior', label: 'Dome', draw: drawInteriorObservatory, start: 4500, end: 11000 },      // 4.5-11s: Inside, push to eyepiece
+            { name: 'approach', label: 'Eyepiece', draw: drawApproach, start: 9000, end: 18000 },             // 9-18s: Zoom into eyepiece
+            { name: 'optics', label: 'Optics', draw: drawOptics, start: 15000, end: 27000 },                  // 15-27s: Inside optics
+            { name: 'data', label: 'Data', draw: drawDataTransform, start: 24000, end: 35000 },               // 24-35s: Data transformation
+            { name: 'cosmos', label: 'Financial Cosmos', draw: drawCosmos, start: 32000, end: 41000, keyframe: 0.6 } // 32-41s: Financial cosmos
+        ];
+    }
+
+    // Accepts { name, draw, start, end } or { name, draw, length, overlap },
+    // the latter starting `overlap` ms before the preceding phase ends.
+    // fadeIn / fadeOut (ms) add a crossfade on top of the phase's own fades.
+    // keyframe (0-1) picks the representative still used in low-motion mode;
+    // label is the human-readable chapter name (defaults to name).
+    function normalizePhase(spec, prev) {
+        if (!spec || typeof spec.draw !== 'function') {
+            throw new TypeError('Observatory phase needs a draw function');
+        }
+        if (!spec.name) throw new TypeError('Observatory phase needs a name');
+
+        let start = spec.start;
+        if (start === undefined) start = prev ? prev.end - (spec.overlap || 0) : 0;
+        const end = spec.end !== undefined ? spec.end : start + (spec.length || 0);
+        if (!(end > start)) {
+            throw new RangeError(`Observatory phase "${spec.name}" must end after it starts`);
+        }
+
+        return {
+            name: spec.name,
+            label: spec.label || spec.name,
+            draw: spec.draw,
+            start,
+            end,
+            fadeIn: Math.max(0, spec.fadeIn || 0),
+            fadeOut: Math.max(0, spec.fadeOut || 0),
+            keyframe: clamp(spec.keyframe ?? 0.5, 0, 1)
+        };
+    }
+
+    function findPhase(name) {
+        return phases.findIndex(p => p.name === name);
+    }
+
+    // The phase that starts latest before `phase` does; list order is draw
+    // order, not time
+    function previousInTime(phase) {
+        let prev = null;
+        for (const p of phases) {
+            if (p !== phase && p.start < phase.start && (!prev || p.start > prev.start)) prev = p;
+        }
+        return prev;
+    }
+
+    // The list is kept in registration order, which addPhase(spec, index)
+    // and movePhase can take out of step with start times
+    function phasesInTime() {
+        return [...phases].sort((a, b) => a.start - b.start);
+    }
+
+    function updateDuration() {
+        DURATION = phases.reduce((max, p) => Math.max(max, p.end), 0);
+        updateZoomKeys();
+    }
+
+    function setPhases(list) {
+        phases = [];
+        for (const spec of list) phases.push(normalizePhase(spec, phases[phases.length - 1]));
+        updateDuration();
+    }
+
+    function keyFrameTime(phase) {
+        return lerp(phase.start, phase.end, phase.keyframe);
+    }
+
+    function phaseWeight(phase, elapsed) {
+        let weight = 1;
+        if (phase.fadeIn > 0) weight *= smoothstep(phase.start, phase.start + phase.fadeIn, elapsed);
+        if (phase.fadeOut > 0) weight *= 1 - smoothstep(phase.end - phase.fadeOut, phase.end, elapsed);
+        return weight;
+    }
+
+    setPhases(defaultPhases());
+
+    // ══════════════════════════════════════════════════════════════
+    //  LOW-MOTION MODE — one still per phase, slowly crossfaded
+    // ══════════════════════════════════════════════════════════════
+    // For prefers-reduced-motion: no camera moves or flashes, just held
+    // key frames rendered once up front and blended with drawImage.
+    const LOW_MOTION_HOLD = 2400;
+    const LOW_MOTION_FADE = 1200;
+    let lowMotion = false;
+    let keyFrames = [];
+
+    function createSurface(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const surface = document.createElement('canvas');
+        surface.width = width;
+        surface.height = height;
+        return surface;
+    }
+
+    function renderKeyFrames() {
+        const live = ctx;
+        keyFrames = phasesInTime().map(phase => {
+            const surface = createSurface(Math.round(w * pixelRatio), Math.round(h * pixelRatio));
+            ctx = surface.getContext('2d');
+            drawFrame(keyFrameTime(phase));
+            return { name: phase.name, label: phase.label, surface };
+        });
+        ctx = live;
+    }
+
+    function getLowMotionDuration() {
+        return keyFrames.length * LOW_MOTION_HOLD;
+    }
+
+    function keyFrameIndexAt(elapsed) {
+        return clamp(Math.floor(elapsed / LOW_MOTION_HOLD), 0, keyFrames.length - 1);
+    }
+
+    function drawKeyFrames(elapsed) {
+        applyPixelRatio();
+        ctx.fillStyle = '#0a0a0a';
+        ctx.fillRect(0, 0, w, h);
+        const i = keyFrameIndexAt(elapsed);
+        const mix = smoothstep(LOW_MOTION_HOLD - LOW_MOTION_FADE, LOW_MOTION_HOLD, elapsed - i * LOW_MOTION_HOLD);
+        const next = keyFrames[i + 1];
+
+        ctx.save();
+        ctx.globalAlpha = next ? 1 : 1 - mix;
+        ctx.drawImage(keyFrames[i].surface, 0, 0, w, h);
+        if (next && mix > 0) {
+            ctx.globalAlpha = mix;
+            ctx.drawImage(next.surface, 0, 0, w, h);
+        }
+        ctx.restore();
+    }
+
+    function keyFramesAt(elapsed) {
+        const i = keyFrameIndexAt(elapsed);
+        const names = new Set([keyFrames[i].name]);
+        if (keyFrames[i + 1] && elapsed - i * LOW_MOTION_HOLD > LOW_MOTION_HOLD - LOW_MOTION_FADE) {
+            names.add(keyFrames[i + 1].name);
+        }
+        return names;
+    }
+
     // ══════════════════════════════════════════════════════════════
     //  MAIN RENDER LOOP — fluid overlapping phases
     // ══════════════════════════════════════════════════════════════
-    function render(timestamp) {
-        if (skipped) return;
-        if (!startTime) startTime = timestamp;
-        const elapsed = timestamp - startTime;
+    // Local time within the observatory act; the clock may be shared with
+    // an earlier act, in which case clockOffset marks where this one begins.
+    function getTime() {
+        return clock ? Math.max(0, clock.time - clockOffset) : 0;
+    }
 
-        if (elapsed >= DURATION) {
-            ctx.fillStyle = '#0a0a0a';
-            ctx.fillRect(0, 0, w, h);
-            if (onComplete) onComplete();
-            return;
+    // Fires phasestart / phaseend as phases enter and leave their windows,
+    // including jumps caused by seeking.
+    function phasesAt(elapsed) {
+        if (elapsed < 0) return new Set();
+        if (lowMotion) return keyFramesAt(elapsed);
+        const names = new Set();
+        for (const phase of phases) {
+            if (elapsed >= phase.start && elapsed <= phase.end) names.add(phase.name);
         }
+        return names;
+    }
 
+    function getDuration() {
+        return lowMotion ? getLowMotionDuration() : DURATION;
+    }
+
+    function updateActivePhases(elapsed) {
+        const now = phasesAt(elapsed);
+        for (const name of activePhases) {
+            if (!now.has(name)) emit('phaseend', { name, time: elapsed });
+        }
+        for (const name of now) {
+            if (!activePhases.has(name)) emit('phasestart', { name, time: elapsed });
+        }
+        activePhases = now;
+    }
+
+    function finish(wasSkipped) {
+        applyPixelRatio();
+        ctx.fillStyle = '#0a0a0a';
+        ctx.fillRect(0, 0, w, h);
+        updateActivePhases(-1);
+        releaseCanvas();
+        emit('complete', { skipped: wasSkipped });
+        if (onComplete) onComplete();
+    }
+
+    // Once the act is over the page has nothing left to size or paint, and
+    // a canvas handed to a worker can't be touched from here at all
+    function releaseCanvas() {
+        particleLayer?.destroy();
+        particleLayer = null;
+        canvas = null;
+        ctx = null;
+    }
+
+    // Resizing a canvas resets its transform, so every paint starts here
+    function applyPixelRatio() {
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+
+    // Paints one frame purely from elapsed — no clock, events or particle
+    // mutation — so the same time always yields the same image.
+    function drawFrame(elapsed) {
+        applyPixelRatio();
         ctx.clearRect(0, 0, w, h);
         ctx.fillStyle = '#0a0a0a';
         ctx.fillRect(0, 0, w, h);
+        if (elapsed >= DURATION) return;
 
         const zoom = getZoom(elapsed);
+        const scene = { ctx, width: w, height: h };
+
+        for (const phase of phases) {
+            if (elapsed < phase.start || elapsed > phase.end) continue;
+            const weight = phaseWeight(phase, elapsed);
+            if (weight <= 0) continue;
+            const t = (elapsed - phase.start) / (phase.end - phase.start);
+            ctx.save();
+            ctx.globalAlpha = weight;
+            phase.draw(t, elapsed, zoom, scene);
+            ctx.restore();
+        }
+    }
 
-        // Phases with generous overlaps for fluid transitions
-        const phases = [
-            [drawApproach, 0, 9000],            // 0-9s: Zoom into eyepiece
-            [drawOptics, 6000, 18000],          // 6-18s: Inside optics
-            [drawDataTransform, 15000, 26000],  // 15-26s: Data transformation
-            [drawCosmos, 23000, 32000]          // 23-32s: Financial cosmos
-        ];
-
-        for (const [fn, start, end] of phases) {
-            if (elapsed >= start && elapsed <= end) {
-                const t = (elapsed - start) / (end - start);
-                fn(t, elapsed, zoom);
+    function render(timestamp) {
+        if (skipped) return;
+        clock.tick(timestamp);
+        if (!clock.paused) monitorFrame(timestamp);
+        const elapsed = getTime();
+
+        try {
+            // A lost GL context hands the particles back to the 2D path
+            if (particleLayer?.lost) useParticleLayer(null);
+
+            const duration = getDuration();
+            if (exploring || (exploreEnabled && elapsed >= exploreStart())) {
+                if (!exploring) enterExplore(elapsed);
+                drawExplore(elapsed);
+            } else if (elapsed >= duration) {
+                animFrameId = null;
+                finish(false);
+                return;
+            } else {
+                updateActivePhases(elapsed);
+                if (lowMotion) drawKeyFrames(elapsed);
+                else drawFrame(elapsed);
+                emit('progress', { time: elapsed, duration, progress: elapsed / duration });
             }
+        } catch (err) {
+            animFrameId = null;
+            emit('error', err);
+            return;
         }
 
         animFrameId = requestAnimationFrame(render);
     }
 
+    // ══════════════════════════════════════════════════════════════
+    //  EXPLORE MODE — the cosmos held open for panning and zooming
+    // ══════════════════════════════════════════════════════════════
+    // With options.explore the timeline stops short of the cosmos fading
+    // out: the scene keeps animating at that point of its build-up under a
+    // pan/zoom camera until the page calls leaveExplore(). While exploring,
+    // drawCosmos records where its hoverable elements are, and hover(x, y)
+    // answers with a 'hover' event — an event rather than a return value so
+    // the page gets the same answer when the cosmos is drawn in a worker.
+    const EXPLORE_T = 0.85;             // cosmos progress to hold; fades start at 0.92
+    const EXPLORE_ZOOM = { min: 0.6, max: 6 };
+    const HOVER_SLOP = 6;               // CSS px of forgiveness around small targets
+    const EXPLORE_TARGETS = {
+        candle: { label: 'Price candle', detail: 'One period of a market\'s price history' },
+        comet: { label: 'Derivative comet', detail: 'An option or future orbiting its underlying market' },
+        system: { label: 'Planetary system', detail: 'Long-term investments compounding in slow orbits' },
+        neuron: { label: 'Neural network node', detail: 'A trading model learning from the data' }
+    };
+    let exploreEnabled = false;
+    let exploring = false;
+    let explorePhase = null;
+    let hitTargets = null;              // filled by drawCosmos while exploring
+    const view = { x: 0, y: 0, zoom: 1 };
+
+    function exploreStart() {
+        const i = findPhase('cosmos');
+        return i === -1 || lowMotion ? Infinity : lerp(phases[i].start, phases[i].end, EXPLORE_T);
+    }
+
+    function enterExplore(elapsed) {
+        exploring = true;
+        explorePhase = phases[findPhase('cosmos')];
+        hitTargets = [];
+        resetView();
+        updateActivePhases(exploreStart());
+        emit('explore', { time: elapsed });
+    }
+
+    function exitExplore() {
+        exploring = false;
+        explorePhase = null;
+        hitTargets = null;
+    }
+
+    function drawExplore(elapsed) {
+        applyPixelRatio();
+        ctx.fillStyle = '#020410';
+        ctx.fillRect(0, 0, w, h);
+        hitTargets.length = 0;
+
+        ctx.save();
+        ctx.translate(w / 2 + view.x, h / 2 + view.y);
+        ctx.scale(view.zoom, view.zoom);
+        ctx.translate(-w / 2, -h / 2);
+        explorePhase.draw(EXPLORE_T, elapsed, getZoom(exploreStart()), { ctx, width: w, height: h });
+        ctx.restore();
+    }
+
+    function addHitTarget(kind, x, y, halfWidth, halfHeight, info) {
+        hitTargets.push({ kind, x, y, halfWidth, halfHeight, info });
+    }
+
+    // view.x/y offset the scene's centre in CSS pixels; at most half the
+    // zoomed scene, so any edge can be brought to the middle but not lost
+    function resetView() {
+        view.x = 0;
+        view.y = 0;
+        view.zoom = 1;
+    }
+
+    function clampView() {
+        view.zoom = clamp(view.zoom, EXPLORE_ZOOM.min, EXPLORE_ZOOM.max);
+        view.x = clamp(view.x, -w / 2 * view.zoom, w / 2 * view.zoom);
+        view.y = clamp(view.y, -h / 2 * view.zoom, h / 2 * view.zoom);
+    }
+
+    // Zooms by factor while keeping the scene point under (x, y) in place
+    function zoomView(x, y, factor) {
+        const zoom = clamp(view.zoom * factor, EXPLORE_ZOOM.min, EXPLORE_ZOOM.max);
+        const applied = zoom / view.zoom;
+        view.x -= (x - w / 2 - view.x) * (applied - 1);
+        view.y -= (y - h / 2 - view.y) * (applied - 1);
+        view.zoom = zoom;
+        clampView();
+    }
+
+    // Nearest recorded element to a screen point, or null
+    function hitTest(x, y) {
+        if (!hitTargets) return null;
+        const sceneX = (x - w / 2 - view.x) / view.zoom + w / 2;
+        const sceneY = (y - h / 2 - view.y) / view.zoom + h / 2;
+        const slop = HOVER_SLOP / view.zoom;
+        let best = null, bestDist = Infinity;
+        for (const target of hitTargets) {
+            const dx = Math.abs(sceneX - target.x), dy = Math.abs(sceneY - target.y);
+            if (dx > target.halfWidth + slop || dy > target.halfHeight + slop) continue;
+            const dist = dx * dx + dy * dy;
+            if (dist < bestDist) {
+                best = target;
+                bestDist = dist;
+            }
+        }
+        return best && describeTarget(best);
+    }
+
+    function describeTarget({ kind, info }) {
+        const { label, detail } = EXPLORE_TARGETS[kind];
+        if (kind === 'candle' && candleTitles[info.side]) {
+            const percent = value => `${Math.round(value * 100)}%`;
+            const { open, close } = info.candle.raw || info.candle;
+            return {
+                kind,
+                label,
+                detail: `${candleTitles[info.side]} — opened at ${percent(open)}, closed at ${percent(close)}`
+            };
+        }
+        if (kind === 'system') {
+            return { kind, label, detail: `${detail} — ${info.planets} holdings` };
+        }
+        return { kind, label, detail };
+    }
+
+    // ══════════════════════════════════════════════════════════════
+    //  WORKER MODE
+    // ══════════════════════════════════════════════════════════════
+    // With options.worker the canvas is transferred to observatory-worker.js,
+    // which runs its own copy of this module. This copy becomes a proxy:
+    // commands are posted across, events are relayed back, and the clock
+    // follows the worker's progress so getTime() and seeking keep working.
+    // Custom phases carry draw functions that can't be posted, so a
+    // customised timeline stays on the main thread, as do low-motion stills
+    // (cheap already) and browsers without OffscreenCanvas.
+    const WORKER_URL = 'observatory-worker.js';
+    let worker = null;
+    let customTimeline = false;
+    let seekGeneration = 0;             // bumped per seek; stale progress is dropped
+
+    function canRenderInWorker(canvasEl, options) {
+        return !!options.worker && !options.lowMotion && !customTimeline &&
+            typeof Worker !== 'undefined' &&
+            typeof canvasEl.transferControlToOffscreen === 'function';
+    }
+
+    function startWorker(canvasEl, url) {
+        const instance = new Worker(url);
+        const offscreen = canvasEl.transferControlToOffscreen();
+        worker = instance;
+        worker.onmessage = onWorkerMessage;
+        worker.onerror = event => {
+            event.preventDefault();
+            stopWorker();
+            releaseCanvas();
+            emit('error', new Error(`Observatory worker failed: ${event.message || url}`));
+        };
+        worker.postMessage({
+            type: 'start',
+            canvas: offscreen,
+            time: getTime(),
+            pixelRatio,
+            rate: clock.rate,
+            paused: clock.paused,
+            quality: qualityMode,
+            marketData,
+            explore: exploreEnabled,
+            renderer: rendererMode,
+            generation: seekGeneration
+        }, [offscreen]);
+    }
+
+    function stopWorker() {
+        if (!worker) return;
+        worker.terminate();
+        worker = null;
+    }
+
+    function post(type, data = {}) {
+        worker.postMessage({ type, ...data });
+    }
+
+    function onWorkerMessage({ data }) {
+        if (!worker || data.type !== 'event') return;
+        const { name, detail } = data;
+        if (name === 'progress') {
+            // Sent before the latest seek reached the worker
+            if (data.generation !== seekGeneration) return;
+            clock.seek(clockOffset + detail.time);
+        } else if (name === 'explore') {
+            exploring = true;
+        } else if (name === 'rendererchange') {
+            renderer = detail.renderer;
+        } else if (name === 'qualitychange') {
+            qualityTier = detail.tier;
+            quality = QUALITY_TIERS[detail.tier];
+        } else if (name === 'error') {
+            stopWorker();
+            releaseCanvas();
+            emit('error', new Error(detail.message));
+            return;
+        }
+        emit(name, detail);
+        if (name === 'complete') {
+            stopWorker();
+            releaseCanvas();
+            if (onComplete) onComplete();
+        }
+    }
+
     // ══════════════════════════════════════════════════════════════
     //  PUBLIC API
     // ══════════════════════════════════════════════════════════════
     return {
-        start: function (canvasEl, completeFn) {
+        // options.clock shares a PlaybackClock with another act;
+        // options.offset is the clock time at which this act begins;
+        // options.lowMotion swaps the animation for crossfaded stills;
+        // options.worker (true or a script URL) renders off the main thread;
+        // options.pixelRatio is the canvas's backing-store scale;
+        // options.explore holds the cosmos open instead of completing;
+        // options.renderer ('auto' | 'webgl' | 'canvas', default 'canvas')
+        // moves the particle pools to WebGL.
+        start: function (canvasEl, completeFn, options = {}) {
+            const mode = options.renderer || 'canvas';
+            if (!RENDERERS.includes(mode)) {
+                throw new RangeError(`Unknown observatory renderer "${mode}"`);
+            }
+            stopWorker();
+            exitExplore();
+            particleLayer?.destroy();
+            particleLayer = null;
+            rendererMode = mode;
             canvas = canvasEl;
-            ctx = canvas.getContext('2d');
-            w = canvas.width;
-            h = canvas.height;
+            pixelRatio = options.pixelRatio || 1;
+            w = canvas.width / pixelRatio;
+            h = canvas.height / pixelRatio;
+            GlowSprites.setResolution(pixelRatio);
             onComplete = completeFn;
-            startTime = null;
+            clock = options.clock || new PlaybackClock();
+            clockOffset = options.clock ? options.offset || 0 : 0;
             skipped = false;
+            activePhases = new Set();
+            lowMotion = !!options.lowMotion;
+            exploreEnabled = !!options.explore;
+            resetGovernor();
+
+            if (canRenderInWorker(canvas, options)) {
+                try {
+                    startWorker(canvas, typeof options.worker === 'string' ? options.worker : WORKER_URL);
+                    return;
+                } catch (err) {
+                    stopWorker();
+                    console.warn('Observatory worker unavailable, rendering on the main thread:', err);
+                }
+            }
+
+            ctx = canvas.getContext('2d');
+            useParticleLayer(createParticleLayer());
             initParticles();
+            if (lowMotion) renderKeyFrames();
             animFrameId = requestAnimationFrame(render);
         },
         skip: function () {
+            if (!canvas) return;
             skipped = true;
+            exitExplore();
+            if (worker) { post('skip'); return; }
             if (animFrameId) { cancelAnimationFrame(animFrameId); animFrameId = null; }
-            ctx.fillStyle = '#0a0a0a';
-            ctx.fillRect(0, 0, w, h);
-            if (onComplete) onComplete();
+            finish(true);
         },
-        resize: function () {
-            if (canvas) { w = canvas.width; h = canvas.height; initParticles(); }
+        // Width and height are CSS pixels; the backing store is sized to
+        // them times ratio. A transferred canvas can't be sized from the
+        // page, so callers pass the new size; without one the canvas's
+        // current size is kept. Does nothing once the act has finished or
+        // been stopped.
+        resize: function (width, height, ratio) {
+            if (ratio) pixelRatio = ratio;
+            if (!canvas) return;
+            GlowSprites.setResolution(pixelRatio);
+            if (worker) {
+                w = width || w;
+                h = height || h;
+                post('resize', { width: w, height: h, pixelRatio });
+                return;
+            }
+            if (width && height) {
+                const backingWidth = Math.round(width * pixelRatio);
+                const backingHeight = Math.round(height * pixelRatio);
+                if (canvas.width !== backingWidth) canvas.width = backingWidth;
+                if (canvas.height !== backingHeight) canvas.height = backingHeight;
+            }
+            particleLayer?.resize(canvas.width, canvas.height);
+            w = width || canvas.width / pixelRatio;
+            h = height || canvas.height / pixelRatio;
+            clampView();
+            initParticles();
+            if (lowMotion) renderKeyFrames();
         },
         stop: function () {
+            stopWorker();
+            exitExplore();
+            if (animFrameId) { cancelAnimationFrame(animFrameId); animFrameId = null; }
+            releaseCanvas();
+        },
+
+        // ── Explore ──
+        // Coordinates are CSS pixels relative to the canvas. All of these
+        // are no-ops until the 'explore' event has fired.
+        isExploring: function () {
+            return exploring;
+        },
+        panBy: function (dx, dy) {
+            if (!exploring) return;
+            if (worker) { post('panBy', { dx, dy }); return; }
+            view.x += dx;
+            view.y += dy;
+            clampView();
+        },
+        zoomAt: function (x, y, factor) {
+            if (!exploring || !(factor > 0)) return;
+            if (worker) { post('zoomAt', { x, y, factor }); return; }
+            zoomView(x, y, factor);
+        },
+        resetView: function () {
+            if (!exploring) return;
+            if (worker) { post('resetView'); return; }
+            resetView();
+        },
+        // Emits 'hover' with { x, y, target }, target being { kind, label,
+        // detail } for the element under the point, or null
+        hover: function (x, y) {
+            if (!exploring) return;
+            if (worker) { post('hover', { x, y }); return; }
+            emit('hover', { x, y, target: hitTest(x, y) });
+        },
+        // Ends exploring and completes the act, leaving the last frame up
+        // for the page to fade away
+        leaveExplore: function () {
+            if (!exploring) return;
+            exitExplore();
+            if (worker) { post('leaveExplore'); return; }
             if (animFrameId) { cancelAnimationFrame(animFrameId); animFrameId = null; }
+            updateActivePhases(-1);
+            emit('complete', { skipped: false, explored: true });
+            if (onComplete) onComplete();
+        },
+
+        // ── Transport ──
+        pause: function () {
+            clock?.pause();
+            if (worker) post('pause');
+        },
+        resume: function () {
+            clock?.resume();
+            if (worker) post('resume');
+        },
+        seek: function (ms) {
+            const time = clamp(ms, 0, getDuration());
+            // Replays from the new time; render() holds the cosmos open
+            // again once it's back past the hold point
+            if (exploring) exitExplore();
+            clock?.seek(clockOffset + time);
+            if (worker) post('seek', { time, generation: ++seekGeneration });
+        },
+        setPlaybackRate: function (rate) {
+            clock?.setRate(rate);
+            if (worker) post('setPlaybackRate', { rate });
+        },
+        getTime: getTime,
+        getDuration: getDuration,
+        // 'webgl' while the particle layer is drawing, otherwise 'canvas'
+        getRenderer: function () {
+            return renderer;
+        },
+
+        // ── Offline rendering ──
+        // Draws the frame at `elapsed` into any 2D context without touching
+        // the live animation. Used for exports, OG images and snapshots.
+        // size.pixelRatio (default 1) renders a CSS-pixel layout at a higher
+        // resolution, e.g. 2 for Retina-sharp snapshots.
+        renderFrame: function (targetCtx, elapsed, size = {}) {
+            const live = { ctx, w, h, quality, pixelRatio, hitTargets, particleLayer };
+            ctx = targetCtx;
+            hitTargets = null;
+            particleLayer = null;
+            quality = QUALITY_TIERS.high;
+            pixelRatio = size.pixelRatio || 1;
+            w = size.width || targetCtx.canvas.width / pixelRatio;
+            h = size.height || targetCtx.canvas.height / pixelRatio;
+            if (!stars) initParticles();
+            try {
+                drawFrame(elapsed);
+            } finally {
+                ({ ctx, w, h, quality, pixelRatio, hitTargets, particleLayer } = live);
+            }
+        },
+
+        // ── Quality ──
+        // 'low' | 'medium' | 'high' pins a tier; 'auto' hands it back to the
+        // frame-time governor, starting from the current tier.
+        setQuality: function (mode) {
+            if (mode !== 'auto' && !QUALITY_TIERS[mode]) {
+                throw new RangeError(`Unknown observatory quality "${mode}"`);
+            }
+            qualityMode = mode;
+            resetGovernor();
+            if (mode !== 'auto') setQualityTier(mode);
+            if (worker) post('setQuality', { mode });
+        },
+        getQuality: function () {
+            return { mode: qualityMode, tier: qualityTier };
+        },
+
+        // ── Market data ──
+        // Accepts MarketData.toCosmos() output; null restores the seeded scene.
+        setMarketData: function (data) {
+            marketData = data;
+            if (candles) applyMarketData();
+            if (worker) post('setMarketData', { data });
+        },
+
+        // ── Events ──
+        // Returns a function that removes the listener again.
+        on: function (type, fn) {
+            (listeners[type] || (listeners[type] = [])).push(fn);
+            return () => this.off(type, fn);
+        },
+        off: function (type, fn) {
+            const fns = listeners[type];
+            if (!fns) return;
+            const i = fns.indexOf(fn);
+            if (i !== -1) fns.splice(i, 1);
+        },
+
+        // ── Timeline ──
+        // Custom draw functions receive (t, elapsed, zoom, { ctx, width, height }).
+        addPhase: function (spec, index) {
+            if (findPhase(spec?.name) !== -1) {
+                throw new Error(`Observatory phase "${spec.name}" is already registered`);
+            }
+            const at = index === undefined ? phases.length : clamp(index, 0, phases.length);
+            phases.splice(at, 0, normalizePhase(spec, phases[at - 1]));
+            updateDuration();
+            customTimeline = true;
+        },
+        removePhase: function (name) {
+            const i = findPhase(name);
+            if (i === -1) return false;
+            phases.splice(i, 1);
+            updateDuration();
+            customTimeline = true;
+            return true;
+        },
+        movePhase: function (name, index) {
+            const i = findPhase(name);
+            if (i === -1) return false;
+            const [phase] = phases.splice(i, 1);
+            phases.splice(clamp(index, 0, phases.length), 0, phase);
+            updateDuration();
+            customTimeline = true;
+            return true;
+        },
+        updatePhase: function (name, changes) {
+            const i = findPhase(name);
+            if (i === -1) return false;
+            const old = phases[i];
+            const spec = { ...old, ...changes, name };
+            // length / overlap re-time the phase against the one that starts
+            // before it (an explicit start or end still wins), and the phases
+            // that start after it move by as much as its end does. Explicit
+            // start / end edits move this phase alone.
+            const retimed = changes && (changes.length !== undefined || changes.overlap !== undefined);
+            if (retimed) {
+                const prev = previousInTime(old);
+                if (changes.start === undefined && changes.overlap !== undefined) {
+                    spec.start = prev ? prev.end - changes.overlap : 0;
+                }
+                if (changes.end === undefined) {
+                    spec.end = spec.start + (changes.length ?? old.end - old.start);
+                }
+            }
+            phases[i] = normalizePhase(spec, previousInTime(old));
+            const shift = retimed && changes.end === undefined ? phases[i].end - old.end : 0;
+            if (shift !== 0) {
+                phases.forEach((phase, j) => {
+                    if (j === i || phase.start <= old.start) return;
+                    phases[j] = { ...phase, start: phase.start + shift, end: phase.end + shift };
+                });
+            }
+            updateDuration();
+            customTimeline = true;
+            return true;
+        },
+        getPhases: function () {
+            return phases.map(p => ({ ...p }));
+        },
+        // Representative time for each phase, in timeline order
+        getKeyFrames: function () {
+            return phasesInTime().map(p => ({ name: p.name, time: keyFrameTime(p) }));
+        },
+        // Where each phase begins in the current mode's local time
+        getChapters: function () {
+            if (lowMotion) {
+                return keyFrames.map((k, i) => ({ name: k.name, label: k.label, time: i * LOW_MOTION_HOLD }));
+            }
+            return phasesInTime().map(p => ({ name: p.name, label: p.label, time: p.start }));
+        },
+        resetPhases: function () {
+            setPhases(defaultPhases());
+            customTimeline = false;
         }
     };
 })();
@@ -0,0 +1,126 @@
+// Portfolio — loads and validates the Experience and "Stuff I've Done" cards
+// The cards live in data/portfolio.json rather than in index.html:
+//
+//   { experience: [entry, ...], projects: [entry, ...] }
+//
+// Experience entries need role, org, dates and description; projects need
+// title and description (role, org and dates are optional there). Any
+// entry may add links ([{ label, url }]), tags ([string], from TAGS),
+// images ([{ src, alt }]) and a widget: the name of a live panel the page
+// mounts inside the card. Descriptions are plain text with [label](url)
+// links.
+// Entries missing a required field are left out and reported, so one typo
+// costs a card rather than the whole section.
+
+const Portfolio = (function () {
+    const DATA_URL = 'data/portfolio.json';
+    const REQUEST_TIMEOUT = 10000;      // ms
+    const SECTIONS = {
+        experience: ['role', 'org', 'dates', 'description'],
+        projects: ['title', 'description']
+    };
+    const TEXT_FIELDS = ['role', 'title', 'org', 'dates', 'description', 'widget'];
+    // The project filter offers one chip per tag, in this order
+    const TAGS = ['Astronomy', 'Markets', 'AI', 'Writing'];
+    const SAFE_URL = /^(https?:|mailto:|#|\/|\.)/i;
+    const INLINE_LINK = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+    function isText(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    // Validates one entry, pushing a message per problem; returns the
+    // cleaned entry, or null when a required field is missing
+    function readEntry(raw, where, required, problems) {
+        if (!raw || typeof raw !== 'object') {
+            problems.push(`${where}: not an object`);
+            return null;
+        }
+        const name = raw.title || raw.role || raw.org;
+        const label = name ? `${where} ("${name}")` : where;
+
+        const missing = required.filter(field => !isText(raw[field]));
+        for (const field of missing) problems.push(`${label}: missing "${field}"`);
+        if (missing.length > 0) return null;
+
+        const entry = {};
+        for (const field of TEXT_FIELDS) {
+            if (raw[field] === undefined) continue;
+            if (isText(raw[field])) entry[field] = raw[field].trim();
+            else problems.push(`${label}: "${field}" should be text`);
+        }
+
+        entry.links = readList(raw.links, `${label}: links`, problems, (link, i) => {
+            if (!isText(link?.label) || !isText(link?.url)) return `[${i}] needs "label" and "url"`;
+            if (!SAFE_URL.test(link.url)) return `[${i}] has an unsupported URL "${link.url}"`;
+            return null;
+        });
+        entry.tags = readList(raw.tags, `${label}: tags`, problems, (tag, i) => {
+            if (!isText(tag)) return `[${i}] should be text`;
+            if (!TAGS.includes(tag.trim())) return `[${i}] "${tag}" isn't one of ${TAGS.join(', ')}`;
+            return null;
+        }).map(tag => tag.trim());
+        entry.images = readList(raw.images, `${label}: images`, problems, (image, i) => {
+            return isText(image?.src) && typeof image.alt === 'string' ? null : `[${i}] needs "src" and "alt"`;
+        });
+        return entry;
+    }
+
+    // Keeps the items `check` passes (it returns a problem or null)
+    function readList(value, where, problems, check) {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            problems.push(`${where} should be a list`);
+            return [];
+        }
+        return value.filter((item, i) => {
+            const problem = check(item, i);
+            if (problem) problems.push(`${where}${problem}`);
+            return !problem;
+        });
+    }
+
+    // Returns { experience, projects, problems }; throws only when the
+    // payload isn't a portfolio at all
+    function validate(payload) {
+        if (!payload || typeof payload !== 'object') {
+            throw new TypeError('Portfolio data needs to be an object');
+        }
+        const problems = [];
+        const result = { problems };
+        for (const [section, required] of Object.entries(SECTIONS)) {
+            const list = payload[section];
+            if (!Array.isArray(list)) {
+                problems.push(`${section}: missing list`);
+                result[section] = [];
+                continue;
+            }
+            result[section] = list
+                .map((raw, i) => readEntry(raw, `${section}[${i}]`, required, problems))
+                .filter(Boolean);
+        }
+        return result;
+    }
+
+    async function load(url = DATA_URL) {
+        return validate(await fetchJson(url, { timeout: REQUEST_TIMEOUT, label: 'Portfolio request' }));
+    }
+
+    // Splits a description into text and { label, url } pieces; links with
+    // an unsupported URL stay as their literal text
+    function parseDescription(text) {
+        const pieces = [];
+        let last = 0;
+        for (const match of text.matchAll(INLINE_LINK)) {
+            const [whole, label, url] = match;
+            if (!SAFE_URL.test(url)) continue;
+            if (match.index > last) pieces.push(text.slice(last, match.index));
+            pieces.push({ label, url });
+            last = match.index + whole.length;
+        }
+        if (last < text.length) pieces.push(text.slice(last));
+        return pieces;
+    }
+
+    return { DATA_URL, TAGS, validate, load, parseDescription };
+})();
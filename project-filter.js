@@ -0,0 +1,171 @@
+// Project Filter — tag chips and animated re-layout for "Stuff I've Done"
+// Cards carry their tags as slugs in data-tags ("astronomy writing"); the
+// chips show one tag at a time, or all of them. The active tag lives in the
+// URL hash as #projects?tag=astronomy so a filtered view can be shared;
+// hashFor writes that form and the page owns parsing and history.
+//
+// Re-layout uses FLIP: cards that stay glide from their old position to
+// the new one, cards coming back fade in, and cards leaving drop out at
+// once so the grid never holds gaps.
+
+const ProjectFilter = (function () {
+    const LAYOUT_MS = 320;
+    const EASING = 'cubic-bezier(0.2, 0.7, 0.2, 1)';
+
+    let cardsEl = null;
+    let chipsEl = null;
+    let emptyEl = null;
+    let tags = [];
+    let active = null;          // slug, or null for everything
+    let onChange = null;
+
+    function slug(tag) {
+        return String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+    }
+
+    function labelFor(tagSlug) {
+        return tags.find(tag => slug(tag) === tagSlug) || tagSlug;
+    }
+
+    function hashFor(tagSlug, id = 'projects') {
+        return tagSlug ? `#${id}?tag=${encodeURIComponent(tagSlug)}` : `#${id}`;
+    }
+
+    function getCards() {
+        return cardsEl ? Array.from(cardsEl.querySelectorAll('.card')) : [];
+    }
+
+    function matches(card) {
+        return !active || (card.dataset.tags || '').split(' ').includes(active);
+    }
+
+    function renderChips() {
+        if (!chipsEl) return;
+        const counts = new Map(tags.map(tag => [slug(tag), 0]));
+        for (const card of getCards()) {
+            for (const tagSlug of (card.dataset.tags || '').split(' ')) {
+                if (counts.has(tagSlug)) counts.set(tagSlug, counts.get(tagSlug) + 1);
+            }
+        }
+
+        const chip = (label, tagSlug, count) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'filter-chip';
+            button.dataset.tag = tagSlug || '';
+            button.setAttribute('aria-pressed', String(active === tagSlug));
+            button.textContent = label;
+            if (count !== undefined) {
+                const badge = document.createElement('span');
+                badge.className = 'filter-count';
+                badge.textContent = count;
+                button.appendChild(badge);
+            }
+            return button;
+        };
+
+        // A tag no card carries gets no chip; it would only ever filter to nothing
+        chipsEl.replaceChildren(
+            chip('All', null),
+            ...tags
+                .filter(tag => counts.get(slug(tag)) > 0)
+                .map(tag => chip(tag, slug(tag), counts.get(slug(tag))))
+        );
+    }
+
+    function updateChips() {
+        if (!chipsEl) return;
+        for (const button of chipsEl.querySelectorAll('.filter-chip')) {
+            button.setAttribute('aria-pressed', String((button.dataset.tag || null) === active));
+        }
+    }
+
+    // Shows the matching cards; with animate, the ones that stay glide
+    // into place and the ones that return fade in
+    function layout(animate) {
+        const cards = getCards();
+        const before = new Map();
+        if (animate) {
+            for (const card of cards) {
+                if (!card.hidden) before.set(card, card.getBoundingClientRect());
+            }
+        }
+
+        let shown = 0;
+        for (const card of cards) {
+            card.hidden = !matches(card);
+            if (!card.hidden) shown++;
+        }
+        if (emptyEl) {
+            emptyEl.hidden = shown > 0;
+            emptyEl.textContent = shown > 0 ? '' : `Nothing tagged ${labelFor(active)} yet.`;
+        }
+        if (!animate) return;
+
+        for (const card of cards) {
+            if (card.hidden || typeof card.animate !== 'function') continue;
+            const first = before.get(card);
+            if (!first) {
+                card.animate([
+                    { opacity: 0, transform: 'scale(0.96)' },
+                    { opacity: 1, transform: 'none' }
+                ], { duration: LAYOUT_MS, easing: EASING });
+                continue;
+            }
+            const last = card.getBoundingClientRect();
+            const dx = first.left - last.left, dy = first.top - last.top;
+            if (dx === 0 && dy === 0) continue;
+            card.animate([
+                { transform: `translate(${dx}px, ${dy}px)` },
+                { transform: 'none' }
+            ], { duration: LAYOUT_MS, easing: EASING });
+        }
+    }
+
+    function handleChipClick(event) {
+        const button = event.target.closest?.('.filter-chip');
+        if (!button) return;
+        const reduced = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        setTag(button.dataset.tag || null, { animate: !reduced, notify: true });
+    }
+
+    // Takes a slug or a tag as written (#projects?tag=Astronomy); tags
+    // without a chip (e.g. from an old link) fall back to everything
+    function setTag(tagSlug, options = {}) {
+        const wanted = tagSlug ? slug(tagSlug) : null;
+        const next = wanted && tags.some(tag => slug(tag) === wanted) ? wanted : null;
+        const changed = next !== active;
+        active = next;
+        updateChips();
+        layout(!!options.animate && changed);
+        if (changed && options.notify && onChange) onChange(active);
+        return active;
+    }
+
+    return {
+        slug,
+        hashFor,
+
+        // cards holds the .card elements; chips and empty are optional.
+        // onChange(tag) runs when a chip changes the filter.
+        attach: function (options) {
+            cardsEl = options.cards || null;
+            chipsEl = options.chips || null;
+            emptyEl = options.empty || null;
+            tags = options.tags || [];
+            onChange = options.onChange || null;
+            chipsEl?.addEventListener('click', handleChipClick);
+            renderChips();
+            layout(false);
+        },
+        // Call after the cards are replaced; keeps the current tag
+        refresh: function () {
+            renderChips();
+            layout(false);
+        },
+        setTag,
+        getTag: function () {
+            return active;
+        }
+    };
+})();
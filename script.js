@@ -5,12 +5,37 @@ const landing = document.getElementById('landing');
 const mainSite = document.getElementById('mainSite');
 const skipHint = document.getElementById('skipHint');
 const introProgressFill = document.getElementById('introProgressFill');
+const replayIntroButton = document.getElementById('replayIntro');
+const introProgress = document.getElementById('introProgress');
+const introChaptersEl = document.getElementById('introChapters');
+const introChapterPreview = document.getElementById('introChapterPreview');
+const enterSiteButton = document.getElementById('enterSite');
+const cosmosTooltip = document.getElementById('cosmosTooltip');
+const soundToggle = document.getElementById('soundToggle');
+const experienceCards = document.getElementById('experienceCards');
+const projectCards = document.getElementById('projectCards');
+const projectFilters = document.getElementById('projectFilters');
+const projectFilterEmpty = document.getElementById('projectFilterEmpty');
+const writingSection = document.getElementById('writing');
+const writingCards = document.getElementById('writingCards');
+const manifoldWidget = document.getElementById('manifoldWidget');
+const skyForm = document.getElementById('skyForm');
+const skyLat = document.getElementById('skyLat');
+const skyLon = document.getElementById('skyLon');
+const skyMinAlt = document.getElementById('skyMinAlt');
+const skyLocate = document.getElementById('skyLocate');
+const skyReset = document.getElementById('skyReset');
+const skyLocationName = document.getElementById('skyLocationName');
+const skyPlanner = document.getElementById('skyPlanner');
 
 let linesWidth, linesHeight;
+let linesPixelRatio = 1;
 const INTRO_DURATION = 5500;
-const OBSERVATORY_DURATION = 32000;
-let introStartTime = null;
-let lastIntroTimestamp = null;
+// Clock time at which the observatory act begins (0 when the orbit intro is skipped)
+let observatoryOffset = INTRO_DURATION;
+// One clock drives both acts so they pause, seek and change speed together
+const introClock = new PlaybackClock();
+let lastIntroTime = null;
 let introNodes = [];
 let introSparks = [];
 let introRings = [];
@@ -20,19 +45,300 @@ let skipRequested = false;
 let observatoryStarted = false;
 let skipHandlersAttached = false;
 let dotsAnimationRunning = false;
-let observatoryProgressInterval = null;
+let observatoryEventsBound = false;
+let landingHideTimer = null;
+let introChapters = [];
+let activeChapterIndex = -1;
+let chapterHandlersAttached = false;
+let observatoryCanvas = null;
+let cosmosExploring = false;
+let exploreHandlersAttached = false;
+let exploreSoundFrame = null;
+let soundAwaitingGesture = false;
+let introSoundPhases = [];
+let portfolioLoaded = false;
+let pendingDeepLink = null;
+
+// Returning visitors: what to play once the intro has been seen before.
+// 'full' replays everything, 'short' jumps to the final phase, 'skip' goes
+// straight to the site. ?intro=full|short|skip overrides it for testing.
+const RETURNING_INTRO_POLICY = 'short';
+const INTRO_POLICIES = ['full', 'short', 'skip'];
+const INTRO_SEEN_KEY = 'eligoldfine:introSeen';
+
+// The soundtrack is opt-in: silent until the visitor switches it on, after
+// which the choice is remembered
+const SOUND_KEY = 'eligoldfine:sound';
+
+// Latest Substack posts, read from the feeds in WritingFeed.FEEDS; a
+// writing.json built from them by build-writing.js stands in if none can
+// be read. ?writing=fixture shows the sample posts instead.
+const WRITING_POST_COUNT = 6;
+
+// Manifold portfolio widget. The last good response is cached: reused
+// as-is for a few minutes, then shown marked stale if a refresh fails.
+// ?manifold=fixture reads data/manifold/ and ?manifold=<url> points at
+// another API, such as mock-manifold.js on localhost.
+const MANIFOLD_USERNAME = 'realDonaldTrump';
+const MANIFOLD_CACHE_KEY = 'eligoldfine:manifold';
+const MANIFOLD_REFRESH_AFTER = 10 * 60 * 1000;      // ms
+
+// Where the argue.lol card gets its live numbers; data/argue-stats.json,
+// written by build-argue-stats.js, stands in when it can't be reached.
+// argue.lol has no public stats endpoint yet, so by default the card makes
+// no request and its description says stats are coming; set this, build a
+// snapshot from it and drop that line from data/portfolio.json once there
+// is one. ?argue=<url> points at an endpoint such as mock-argue.js.
+const ARGUE_STATS_ENDPOINT = null;
+
+// Tonight's Sky starts from Westchester; a location the visitor picks
+// (and their altitude cutoff) is remembered for next time
+const SKY_LOCATION_KEY = 'eligoldfine:skyLocation';
+const GEOLOCATION_TIMEOUT = 10000;      // ms
+
+// Hold the Financial Cosmos open at the end of the intro so visitors can pan,
+// zoom and hover around it; "Enter site" (or Escape) moves on. Off unless
+// the page is opened with ?explore=1, so the intro still ends by itself.
+const EXPLORE_COSMOS = false;
+
+// Render off the main thread where OffscreenCanvas allows, so heavy frames
+// don't jank scrolling, input or the fade into the site. Unsupported
+// browsers fall back to drawing here.
+const RENDER_IN_WORKER = { observatory: true, dots: false };
+
+function supportsCanvasWorker(canvas) {
+    return typeof Worker !== 'undefined' && typeof canvas.transferControlToOffscreen === 'function';
+}
+
+// HiDPI: canvases keep CSS-pixel coordinates over a devicePixelRatio-scaled
+// backing store, capped so a full-screen canvas never exceeds ~4K pixels.
+const MAX_BACKING_PIXELS = 3840 * 2160;
+
+function canvasPixelRatio(width, height) {
+    const ratio = window.devicePixelRatio || 1;
+    const budget = Math.sqrt(MAX_BACKING_PIXELS / Math.max(1, width * height));
+    return Math.max(1, Math.min(ratio, budget));
+}
+
+// Reduced motion: crossfaded stills instead of the animated intro, slow dots
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+function prefersReducedMotion() {
+    return !!reducedMotionQuery?.matches;
+}
+
+
+function getIntroTotalDuration() {
+    const observatoryDuration = typeof ObservatoryAnimation !== 'undefined' ? ObservatoryAnimation.getDuration() : 0;
+    return observatoryOffset + observatoryDuration;
+}
+
+function hasSeenIntro() {
+    try {
+        return localStorage.getItem(INTRO_SEEN_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+function rememberIntroSeen() {
+    try {
+        localStorage.setItem(INTRO_SEEN_KEY, 'true');
+    } catch (error) {
+        // Storage can be unavailable (private mode, blocked cookies); just replay next time
+    }
+}
+
+function soundPreferred() {
+    try {
+        return localStorage.getItem(SOUND_KEY) === 'on';
+    } catch (error) {
+        return false;
+    }
+}
+
+function rememberSound(on) {
+    try {
+        localStorage.setItem(SOUND_KEY, on ? 'on' : 'off');
+    } catch (error) {
+        // Storage can be unavailable; the toggle still works for this visit
+    }
+}
+
+// Cached per API base so fixture data never stands in for the live API
+function readManifoldCache(base) {
+    try {
+        const cached = JSON.parse(localStorage.getItem(MANIFOLD_CACHE_KEY));
+        return cached?.base === base ? cached.payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function rememberManifold(base, payload) {
+    try {
+        localStorage.setItem(MANIFOLD_CACHE_KEY, JSON.stringify({ base, payload }));
+    } catch (error) {
+        // Storage can be unavailable or full; the widget just won't have a fallback
+    }
+}
+
+function readSkyLocation() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SKY_LOCATION_KEY));
+        return Number.isFinite(saved?.latitude) && Number.isFinite(saved?.longitude) ? saved : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function rememberSkyLocation(location) {
+    try {
+        if (location) localStorage.setItem(SKY_LOCATION_KEY, JSON.stringify(location));
+        else localStorage.removeItem(SKY_LOCATION_KEY);
+    } catch (error) {
+        // Storage can be unavailable; the planner still works for this visit
+    }
+}
 
+function getIntroPolicy() {
+    const override = new URLSearchParams(window.location.search).get('intro');
+    if (INTRO_POLICIES.includes(override)) return override;
+    // A shared link into a section (#projects?tag=astronomy) goes straight there
+    if (getHashTarget(window.location.hash)) return 'skip';
+    return hasSeenIntro() ? RETURNING_INTRO_POLICY : 'full';
+}
 
 function updateIntroProgress(progress) {
     if (!introProgressFill) return;
     introProgressFill.style.width = `${Math.max(0, Math.min(progress, 1)) * 100}%`;
+    markActiveChapter(chapterIndexAt(progress * getIntroTotalDuration()));
+}
+
+// ── Chapter markers ──
+// One tick for the orbit intro plus one per observatory phase, positioned
+// on the shared clock so clicking a tick can seek across both acts.
+function getIntroChapters() {
+    const chapters = observatoryOffset > 0 ? [{ name: 'orbit', label: 'Orbit', time: 0 }] : [];
+    if (typeof ObservatoryAnimation !== 'undefined') {
+        for (const chapter of ObservatoryAnimation.getChapters()) {
+            chapters.push({ ...chapter, time: observatoryOffset + chapter.time });
+        }
+    }
+    return chapters;
+}
+
+function buildIntroChapters() {
+    if (!introChaptersEl) return;
+    introChapters = getIntroChapters();
+    activeChapterIndex = -1;
+    const total = getIntroTotalDuration();
+    introChaptersEl.replaceChildren(...introChapters.map((chapter, index) => {
+        const tick = document.createElement('button');
+        tick.type = 'button';
+        tick.className = 'intro-chapter';
+        tick.style.left = `${(chapter.time / total) * 100}%`;
+        tick.dataset.index = index;
+        tick.setAttribute('aria-label', `Jump to ${chapter.label}`);
+        return tick;
+    }));
+}
+
+function chapterIndexAt(time) {
+    let index = -1;
+    introChapters.forEach((chapter, i) => {
+        if (chapter.time <= time) index = i;
+    });
+    return index;
+}
+
+function markActiveChapter(index) {
+    if (index === activeChapterIndex || !introChaptersEl) return;
+    introChaptersEl.children[activeChapterIndex]?.removeAttribute('aria-current');
+    introChaptersEl.children[index]?.setAttribute('aria-current', 'step');
+    activeChapterIndex = index;
+}
+
+function jumpToChapter(index) {
+    const chapter = introChapters[index];
+    if (!chapter) return;
+    seekIntro(chapter.time);
+    introChaptersEl?.children[index]?.focus();
+}
+
+function showChapterPreview(index, fraction) {
+    const chapter = introChapters[index];
+    if (!introChapterPreview || !chapter) return;
+    introChapterPreview.textContent = chapter.label;
+    introChapterPreview.style.left = `${Math.max(0, Math.min(fraction, 1)) * 100}%`;
+    introChapterPreview.classList.add('visible');
+}
+
+function hideChapterPreview() {
+    introChapterPreview?.classList.remove('visible');
+}
+
+function pointerFraction(event) {
+    const rect = introProgress.getBoundingClientRect();
+    return (event.clientX - rect.left) / rect.width;
+}
+
+function attachChapterHandlers() {
+    if (chapterHandlersAttached || !introProgress) return;
+    chapterHandlersAttached = true;
+
+    // Interaction with the scrubber must not count as "click to skip"
+    introProgress.addEventListener('touchstart', event => event.stopPropagation(), { passive: true });
+
+    introProgress.addEventListener('click', event => {
+        event.stopPropagation();
+        resumePreferredSound();
+        const tick = event.target.closest('.intro-chapter');
+        if (tick) {
+            jumpToChapter(Number(tick.dataset.index));
+        } else {
+            jumpToChapter(chapterIndexAt(pointerFraction(event) * getIntroTotalDuration()));
+        }
+    });
+
+    introProgress.addEventListener('keydown', event => {
+        event.stopPropagation();
+        resumePreferredSound();
+        const last = introChapters.length - 1;
+        const current = Math.max(activeChapterIndex, 0);
+        const targets = {
+            ArrowLeft: Math.max(current - 1, 0),
+            ArrowRight: Math.min(current + 1, last),
+            Home: 0,
+            End: last
+        };
+        if (event.key in targets) {
+            event.preventDefault();
+            jumpToChapter(targets[event.key]);
+        }
+    });
+
+    introProgress.addEventListener('pointermove', event => {
+        const fraction = pointerFraction(event);
+        showChapterPreview(chapterIndexAt(fraction * getIntroTotalDuration()), fraction);
+    });
+    introProgress.addEventListener('pointerleave', hideChapterPreview);
+
+    introProgress.addEventListener('focusin', event => {
+        const tick = event.target.closest('.intro-chapter');
+        if (tick) showChapterPreview(Number(tick.dataset.index), parseFloat(tick.style.left) / 100);
+    });
+    introProgress.addEventListener('focusout', hideChapterPreview);
 }
 
 function resizeLinesCanvas() {
     linesWidth = window.innerWidth;
     linesHeight = window.innerHeight;
-    linesCanvas.width = linesWidth;
-    linesCanvas.height = linesHeight;
+    linesPixelRatio = canvasPixelRatio(linesWidth, linesHeight);
+    linesCanvas.width = Math.round(linesWidth * linesPixelRatio);
+    linesCanvas.height = Math.round(linesHeight * linesPixelRatio);
+    linesCtx.setTransform(linesPixelRatio, 0, 0, linesPixelRatio, 0, 0);
+    GlowSprites.setResolution(linesPixelRatio);
 }
 
 function attachSkipListeners() {
@@ -57,27 +363,71 @@ function revealMainSite() {
     skipRequested = true;
     if (skipHint) skipHint.classList.remove('visible');
     updateIntroProgress(1);
-    if (observatoryProgressInterval) {
-        clearInterval(observatoryProgressInterval);
-        observatoryProgressInterval = null;
-    }
     removeSkipListeners();
+    stopExploring();
+    stopIntroSound();
+    rememberIntroSeen();
 
     landing?.classList.add('hidden');
     mainSite?.classList.add('visible');
 
-    setTimeout(() => {
-        if (landing) landing.style.display = 'none';
+    // The explore controls stay up while the landing fades out
+    landingHideTimer = setTimeout(() => {
+        landingHideTimer = null;
+        if (landing) {
+            landing.style.display = 'none';
+            landing.classList.remove('exploring');
+        }
     }, 1000);
 
     ensureDotsAnimation();
+    followPendingDeepLink();
 }
 
+// Dots hooks: start/stop seed and clear the field; pauseDots/resumeDots
+// freeze it for a named reason ('hidden', 'covered', …) and it only moves
+// once every reason has been resumed.
 function ensureDotsAnimation() {
+    resumeDots('covered');
     if (dotsAnimationRunning) return;
     dotsAnimationRunning = true;
-    initDots();
-    requestAnimationFrame(animateDots);
+    dots.setMotionScale(prefersReducedMotion() ? 0.1 : 1);
+    applyDotsInteraction();
+    dots.start();
+}
+
+function stopDotsAnimation() {
+    if (!dotsAnimationRunning) return;
+    dotsAnimationRunning = false;
+    dots.stop();
+}
+
+function pauseDots(reason) {
+    dots.pause(reason);
+}
+
+function resumeDots(reason) {
+    dots.resume(reason);
+}
+
+// Plays the whole intro again over the main site; the dots field is held
+// while the landing covers it and picks up again in revealMainSite.
+function replayIntro() {
+    if (!landingSequenceFinished) return;
+    stopObservatory();
+    pauseDots('covered');
+    clearTimeout(landingHideTimer);
+    landingHideTimer = null;
+
+    landingSequenceFinished = false;
+    skipRequested = false;
+    observatoryStarted = false;
+    if (landing) {
+        landing.style.display = '';
+        landing.classList.remove('hidden', 'exploring');
+    }
+
+    init('full');
 }
 
 function skipIntro(event) {
@@ -104,28 +454,323 @@ function startObservatorySequence() {
     }
 
     resizeLinesCanvas();
-    const observatoryStart = performance.now();
-    observatoryProgressInterval = setInterval(() => {
-        const elapsed = performance.now() - observatoryStart;
-        const totalProgress = (INTRO_DURATION + elapsed) / (INTRO_DURATION + OBSERVATORY_DURATION);
-        updateIntroProgress(totalProgress);
-        if (landingSequenceFinished || totalProgress >= 1) {
-            clearInterval(observatoryProgressInterval);
-            observatoryProgressInterval = null;
+    bindObservatoryEvents();
+    const canvas = RENDER_IN_WORKER.observatory ? createObservatoryCanvas() : linesCanvas;
+    ObservatoryAnimation.start(canvas, null, {
+        clock: introClock,
+        offset: observatoryOffset,
+        lowMotion: prefersReducedMotion(),
+        worker: RENDER_IN_WORKER.observatory,
+        pixelRatio: linesPixelRatio,
+        explore: getExploreCosmos(),
+        renderer: getObservatoryRenderer()
+    });
+    introSoundPhases = getIntroSoundPhases();
+    buildIntroChapters();
+}
+
+// linesCanvas already has a 2D context from the orbit act and a canvas can
+// only be handed to a worker once, so each observatory run gets a fresh
+// canvas stacked over it.
+function createObservatoryCanvas() {
+    removeObservatoryCanvas();
+    observatoryCanvas = document.createElement('canvas');
+    observatoryCanvas.id = 'observatoryCanvas';
+    observatoryCanvas.width = Math.round(linesWidth * linesPixelRatio);
+    observatoryCanvas.height = Math.round(linesHeight * linesPixelRatio);
+    linesCanvas.after(observatoryCanvas);
+    return observatoryCanvas;
+}
+
+function removeObservatoryCanvas() {
+    observatoryCanvas?.remove();
+    observatoryCanvas = null;
+}
+
+function stopObservatory() {
+    if (typeof ObservatoryAnimation !== 'undefined') ObservatoryAnimation.stop();
+    stopExploring();
+    removeObservatoryCanvas();
+}
+
+// Progress bar, skip hint and reveal all follow the animation's own events
+function bindObservatoryEvents() {
+    if (observatoryEventsBound) return;
+    observatoryEventsBound = true;
+
+    ObservatoryAnimation.on('progress', ({ time }) => {
+        updateIntroProgress((observatoryOffset + time) / getIntroTotalDuration());
+        updateIntroSound(time);
+    });
+    ObservatoryAnimation.on('phasestart', () => {
+        if (!landingSequenceFinished && !cosmosExploring && skipHint) skipHint.classList.add('visible');
+    });
+    ObservatoryAnimation.on('explore', startExploring);
+    ObservatoryAnimation.on('hover', showCosmosTooltip);
+    ObservatoryAnimation.on('complete', revealMainSite);
+    ObservatoryAnimation.on('error', error => {
+        console.error('Observatory animation failed, showing the site instead:', error);
+        revealMainSite();
+    });
+}
+
+// ── Exploring the cosmos ──
+// Once the observatory holds the cosmos open, the landing stops skipping on
+// click and instead drives its camera: drag or arrow keys pan, the wheel,
+// pinch or +/- zoom, and pointing at an element (hover, or a tap on touch)
+// asks the animation what it is. The landing is fixed at the viewport
+// origin, so client coordinates are canvas coordinates.
+const EXPLORE_PAN_STEP = 60;
+const EXPLORE_ZOOM_STEP = 1.25;
+const EXPLORE_TAP_SLOP = 8;
+const explorePointers = new Map();
+
+function startExploring({ time } = {}) {
+    if (landingSequenceFinished || cosmosExploring) return;
+    cosmosExploring = true;
+    if (time !== undefined) playExploreSound(time);
+    removeSkipListeners();
+    if (skipHint) skipHint.classList.remove('visible');
+    landing?.classList.add('exploring');
+    attachExploreHandlers();
+    enterSiteButton?.focus({ preventScroll: true });
+}
+
+function stopExploring() {
+    if (!cosmosExploring) return;
+    cosmosExploring = false;
+    explorePointers.clear();
+    hideCosmosTooltip();
+}
+
+function enterSite() {
+    if (!cosmosExploring) return;
+    ObservatoryAnimation.leaveExplore();
+    revealMainSite();
+}
+
+function showCosmosTooltip({ x, y, target }) {
+    if (!cosmosTooltip || !cosmosExploring) return;
+    if (!target) {
+        hideCosmosTooltip();
+        return;
+    }
+    const label = document.createElement('strong');
+    label.textContent = target.label;
+    const detail = document.createElement('span');
+    detail.textContent = target.detail;
+    cosmosTooltip.replaceChildren(label, detail);
+    // Keep it on screen, flipping to the pointer's left near the right edge
+    const flip = x > linesWidth - 260;
+    cosmosTooltip.style.left = `${x}px`;
+    cosmosTooltip.style.top = `${y}px`;
+    cosmosTooltip.classList.toggle('flipped', flip);
+    cosmosTooltip.classList.add('visible');
+}
+
+function hideCosmosTooltip() {
+    cosmosTooltip?.classList.remove('visible');
+}
+
+function isExploreControl(event) {
+    return !!event.target.closest?.('.explore-ui, .sound-toggle');
+}
+
+function onExploreWheel(event) {
+    if (!cosmosExploring || isExploreControl(event)) return;
+    event.preventDefault();
+    const delta = event.deltaY * (event.deltaMode === 1 ? 16 : 1);
+    ObservatoryAnimation.zoomAt(event.clientX, event.clientY, Math.exp(-delta * 0.0015));
+    hideCosmosTooltip();
+}
+
+function onExplorePointerDown(event) {
+    if (!cosmosExploring || isExploreControl(event)) return;
+    explorePointers.set(event.pointerId, {
+        x: event.clientX,
+        y: event.clientY,
+        startX: event.clientX,
+        startY: event.clientY
+    });
+    landing.setPointerCapture?.(event.pointerId);
+}
+
+// One pointer drags; two pinch-zoom around their midpoint and pan with it
+function onExplorePointerMove(event) {
+    if (!cosmosExploring) return;
+    const pointer = explorePointers.get(event.pointerId);
+    if (!pointer) {
+        if (event.pointerType === 'mouse' && !isExploreControl(event)) {
+            ObservatoryAnimation.hover(event.clientX, event.clientY);
         }
-    }, 100);
+        return;
+    }
 
-    ObservatoryAnimation.start(linesCanvas, () => {
-        if (!landingSequenceFinished) {
-            revealMainSite();
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    if (explorePointers.size === 1) {
+        ObservatoryAnimation.panBy(dx, dy);
+    } else {
+        const other = [...explorePointers].find(([id]) => id !== event.pointerId)[1];
+        const before = Math.hypot(pointer.x - other.x, pointer.y - other.y);
+        const after = Math.hypot(event.clientX - other.x, event.clientY - other.y);
+        ObservatoryAnimation.panBy(dx / 2, dy / 2);
+        if (before > 0) {
+            ObservatoryAnimation.zoomAt((event.clientX + other.x) / 2, (event.clientY + other.y) / 2, after / before);
         }
-    });
+    }
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    hideCosmosTooltip();
+}
 
-    setTimeout(() => {
-        if (!landingSequenceFinished) {
-            revealMainSite();
+function onExplorePointerUp(event) {
+    const pointer = explorePointers.get(event.pointerId);
+    if (!pointer) return;
+    explorePointers.delete(event.pointerId);
+    // Touch has no hover, so a tap that didn't drag identifies instead
+    const moved = Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY);
+    if (cosmosExploring && event.type === 'pointerup' && moved < EXPLORE_TAP_SLOP) {
+        ObservatoryAnimation.hover(event.clientX, event.clientY);
+    }
+}
+
+function onExploreKey(event) {
+    if (!cosmosExploring) return;
+    const pans = {
+        ArrowLeft: [EXPLORE_PAN_STEP, 0],
+        ArrowRight: [-EXPLORE_PAN_STEP, 0],
+        ArrowUp: [0, EXPLORE_PAN_STEP],
+        ArrowDown: [0, -EXPLORE_PAN_STEP]
+    };
+    const zooms = { '+': EXPLORE_ZOOM_STEP, '=': EXPLORE_ZOOM_STEP, '-': 1 / EXPLORE_ZOOM_STEP };
+
+    if (event.key === 'Escape') {
+        enterSite();
+    } else if (event.key in pans) {
+        ObservatoryAnimation.panBy(...pans[event.key]);
+    } else if (event.key in zooms) {
+        ObservatoryAnimation.zoomAt(linesWidth / 2, linesHeight / 2, zooms[event.key]);
+    } else if (event.key === '0') {
+        ObservatoryAnimation.resetView();
+    } else {
+        return;
+    }
+    event.preventDefault();
+    hideCosmosTooltip();
+}
+
+function attachExploreHandlers() {
+    if (exploreHandlersAttached || !landing) return;
+    exploreHandlersAttached = true;
+    landing.addEventListener('wheel', onExploreWheel, { passive: false });
+    landing.addEventListener('pointerdown', onExplorePointerDown);
+    landing.addEventListener('pointermove', onExplorePointerMove);
+    landing.addEventListener('pointerup', onExplorePointerUp);
+    landing.addEventListener('pointercancel', onExplorePointerUp);
+    landing.addEventListener('pointerleave', hideCosmosTooltip);
+    window.addEventListener('keydown', onExploreKey);
+    enterSiteButton?.addEventListener('click', enterSite);
+}
+
+// ── Soundtrack ──
+// IntroAudio follows the observatory's phase windows. Low-motion stills
+// run on their own timeline, one chapter at a time, so their windows come
+// from the chapter list instead.
+function getIntroSoundPhases() {
+    if (!prefersReducedMotion()) return ObservatoryAnimation.getPhases();
+    const chapters = ObservatoryAnimation.getChapters();
+    return chapters.map((chapter, i) => ({
+        name: chapter.name,
+        start: chapter.time,
+        end: chapters[i + 1]?.time ?? ObservatoryAnimation.getDuration()
+    }));
+}
+
+function updateIntroSound(time) {
+    if (typeof IntroAudio !== 'undefined') IntroAudio.update(time, introSoundPhases);
+}
+
+function stopIntroSound() {
+    if (typeof IntroAudio !== 'undefined') IntroAudio.stop();
+}
+
+// Exploring stops the progress events, so the cosmos pad is kept going at
+// the held time from here until the visitor moves on
+function playExploreSound(time) {
+    cancelAnimationFrame(exploreSoundFrame);
+    exploreSoundFrame = null;
+    if (!cosmosExploring || landingSequenceFinished) return;
+    updateIntroSound(time);
+    exploreSoundFrame = requestAnimationFrame(() => playExploreSound(time));
+}
+
+function updateSoundToggle(on) {
+    if (!soundToggle) return;
+    soundToggle.setAttribute('aria-pressed', String(on));
+    soundToggle.textContent = on ? 'Sound on' : 'Sound off';
+}
+
+function setupSoundToggle() {
+    if (!soundToggle) return;
+    if (typeof IntroAudio === 'undefined' || !IntroAudio.isSupported()) {
+        soundToggle.hidden = true;
+        return;
+    }
+    // Sound switched on in an earlier visit waits for a gesture, since
+    // browsers only let audio start from one; only the toggle and the
+    // scrubber count, as any other click or key skips the intro
+    if (soundPreferred()) {
+        soundAwaitingGesture = true;
+        updateSoundToggle(true);
+    }
+
+    // Like the scrubber, the toggle must not count as "click to skip"
+    soundToggle.addEventListener('touchstart', event => event.stopPropagation(), { passive: true });
+    soundToggle.addEventListener('keydown', event => event.stopPropagation());
+    soundToggle.addEventListener('click', event => {
+        event.stopPropagation();
+        if (soundAwaitingGesture) {
+            resumePreferredSound();
+            return;
         }
-    }, OBSERVATORY_DURATION + 1200);
+        const on = IntroAudio.setEnabled(!IntroAudio.isEnabled());
+        rememberSound(on);
+        updateSoundToggle(on);
+    });
+}
+
+function resumePreferredSound() {
+    if (!soundAwaitingGesture) return;
+    soundAwaitingGesture = false;
+    updateSoundToggle(IntroAudio.setEnabled(true));
+}
+
+// Seek across both acts on the shared clock (0 = start of the orbit intro)
+function seekIntro(ms) {
+    if (landingSequenceFinished) return;
+    const time = Math.max(0, Math.min(ms, getIntroTotalDuration()));
+    introClock.seek(time);
+
+    // Scrubbing while the cosmos is held open resumes the intro; the
+    // animation holds it again if the new time is past the hold point
+    if (cosmosExploring) {
+        stopExploring();
+        landing?.classList.remove('exploring');
+        attachSkipListeners();
+    }
+
+    if (time < observatoryOffset && observatoryStarted) {
+        stopObservatory();
+        observatoryStarted = false;
+        lastIntroTime = null;
+        requestAnimationFrame(animateLines);
+    } else if (observatoryStarted) {
+        // A worker-rendered observatory keeps its own clock; tell it too
+        ObservatoryAnimation.seek(time - observatoryOffset);
+    }
+
+    updateIntroProgress(time / getIntroTotalDuration());
 }
 
 class OrbitNode {
@@ -142,6 +787,7 @@ class OrbitNode {
         this.size = 1.2 + Math.random() * 3.5;
         this.orbitTilt = 0.6 + Math.random() * 0.9;
         this.hue = 200 + Math.random() * 100;
+        this.halo = GlowSprites.halo(GlowSprites.hsl(this.hue, 70, 70));
         this.trail = [];
     }
 
@@ -175,13 +821,7 @@ class OrbitNode {
         linesCtx.fillStyle = `hsla(${this.hue}, 80%, ${65 + this.depth * 20}%, ${glow})`;
         linesCtx.fill();
 
-        const halo = linesCtx.createRadialGradient(this.x, this.y, 0, this.x, this.y, this.size * 5);
-        halo.addColorStop(0, `hsla(${this.hue}, 70%, 70%, ${glow * 0.35})`);
-        halo.addColorStop(1, 'rgba(0,0,0,0)');
-        linesCtx.fillStyle = halo;
-        linesCtx.beginPath();
-        linesCtx.arc(this.x, this.y, this.size * 5, 0, Math.PI * 2);
-        linesCtx.fill();
+        GlowSprites.draw(linesCtx, this.halo, this.x, this.y, this.size * 5, glow * 0.35);
     }
 }
 
@@ -248,8 +888,7 @@ function initIntroElements() {
 }
 
 function initLines() {
-    introStartTime = null;
-    lastIntroTimestamp = null;
+    lastIntroTime = null;
     initIntroElements();
 }
 
@@ -285,36 +924,37 @@ function drawBackground(progress) {
     linesCtx.fillRect(0, 0, linesWidth, linesHeight);
 }
 
+// Nodes move every frame, so the grid is rebuilt per frame. The link
+// threshold grows from 80 to 300 px; 100 px cells keep a query to a few
+// cells either way without reallocating buckets as it changes.
+const constellationGrid = new SpatialGrid(100);
+
 function drawConstellations(progress) {
     const threshold = 80 + progress * 220;
-    for (let i = 0; i < introNodes.length; i++) {
-        for (let j = i + 1; j < introNodes.length; j++) {
-            const n1 = introNodes[i];
-            const n2 = introNodes[j];
-            const dx = n1.x - n2.x;
-            const dy = n1.y - n2.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            if (dist > threshold) continue;
-            const alpha = (1 - dist / threshold) * (0.15 + progress * 0.25);
-            linesCtx.strokeStyle = `rgba(150, 170, 255, ${alpha})`;
-            linesCtx.lineWidth = 0.5 + (1 - dist / threshold) * 0.6;
-            linesCtx.beginPath();
-            linesCtx.moveTo(n1.x, n1.y);
-            linesCtx.lineTo(n2.x, n2.y);
-            linesCtx.stroke();
-        }
-    }
+    constellationGrid.clear();
+    for (const node of introNodes) constellationGrid.insert(node.x, node.y);
+
+    constellationGrid.forEachPair(threshold, (i, j, dist) => {
+        const n1 = introNodes[i];
+        const n2 = introNodes[j];
+        const alpha = (1 - dist / threshold) * (0.15 + progress * 0.25);
+        linesCtx.strokeStyle = `rgba(150, 170, 255, ${alpha})`;
+        linesCtx.lineWidth = 0.5 + (1 - dist / threshold) * 0.6;
+        linesCtx.beginPath();
+        linesCtx.moveTo(n1.x, n1.y);
+        linesCtx.lineTo(n2.x, n2.y);
+        linesCtx.stroke();
+    });
 }
 
 function animateLines(timestamp) {
-    if (!introStartTime) introStartTime = timestamp;
-    if (!lastIntroTimestamp) lastIntroTimestamp = timestamp;
-    const delta = timestamp - lastIntroTimestamp;
-    lastIntroTimestamp = timestamp;
-    const progress = Math.min((timestamp - introStartTime) / INTRO_DURATION, 1);
-    const totalDuration = INTRO_DURATION + (typeof ObservatoryAnimation !== 'undefined' ? OBSERVATORY_DURATION : 0);
-    const elapsed = timestamp - introStartTime;
-    updateIntroProgress(Math.min(elapsed / totalDuration, 1));
+    if (observatoryStarted || landingSequenceFinished) return;
+    const elapsed = introClock.tick(timestamp);
+    if (lastIntroTime === null) lastIntroTime = elapsed;
+    const delta = Math.max(0, elapsed - lastIntroTime);
+    lastIntroTime = elapsed;
+    const progress = Math.min(elapsed / INTRO_DURATION, 1);
+    updateIntroProgress(Math.min(elapsed / getIntroTotalDuration(), 1));
 
     drawBackground(progress);
 
@@ -322,7 +962,7 @@ function animateLines(timestamp) {
     introSparks.forEach(spark => spark.update(delta));
 
     drawConstellations(progress);
-    introRings.forEach(ring => ring.draw(timestamp));
+    introRings.forEach(ring => ring.draw(elapsed));
     introSparks.forEach(spark => spark.draw(progress));
     introNodes.forEach(node => node.draw(progress));
 
@@ -342,96 +982,72 @@ function animateLines(timestamp) {
     }
 }
 // Main Site - Floating Dots Canvas
+// DotsField draws here, or in dots-worker.js when RENDER_IN_WORKER.dots is
+// on; either way `dots` exposes the same calls.
 const dotsCanvas = document.getElementById('dotsCanvas');
-const dotsCtx = dotsCanvas.getContext('2d');
-let dotsWidth, dotsHeight;
-let dots = [];
-
-function resizeDotsCanvas() {
-    dotsWidth = window.innerWidth;
-    dotsHeight = window.innerHeight;
-    dotsCanvas.width = dotsWidth;
-    dotsCanvas.height = dotsHeight;
-}
-
-class Dot {
-    constructor() {
-        this.x = Math.random() * dotsWidth;
-        this.y = Math.random() * dotsHeight;
-        this.baseSize = 1 + Math.random() * 2;
-        this.size = this.baseSize;
-
-        // Movement
-        this.vx = (Math.random() - 0.5) * 0.5;
-        this.vy = (Math.random() - 0.5) * 0.5;
-
-        // Brightness animation
-        this.baseBrightness = 0.2 + Math.random() * 0.3;
-        this.brightness = this.baseBrightness;
-        this.brightnessSpeed = 0.005 + Math.random() * 0.02;
-        this.brightnessPhase = Math.random() * Math.PI * 2;
-
-        // Color (subtle purples/blues)
-        this.hue = 240 + Math.random() * 60;
-    }
-
-    update(time) {
-        // Move
-        this.x += this.vx;
-        this.y += this.vy;
-
-        // Wrap around screen
-        if (this.x < 0) this.x = dotsWidth;
-        if (this.x > dotsWidth) this.x = 0;
-        if (this.y < 0) this.y = dotsHeight;
-        if (this.y > dotsHeight) this.y = 0;
-
-        // Animate brightness
-        this.brightness = this.baseBrightness +
-            Math.sin(time * this.brightnessSpeed + this.brightnessPhase) * 0.3;
-        this.brightness = Math.max(0.05, Math.min(0.8, this.brightness));
-
-        // Size pulses slightly with brightness
-        this.size = this.baseSize * (0.8 + this.brightness * 0.4);
-    }
-
-    draw() {
-        dotsCtx.beginPath();
-        dotsCtx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        dotsCtx.fillStyle = `hsla(${this.hue}, 60%, 70%, ${this.brightness})`;
-        dotsCtx.fill();
-
-        // Add glow for brighter dots
-        if (this.brightness > 0.4) {
-            dotsCtx.beginPath();
-            dotsCtx.arc(this.x, this.y, this.size * 3, 0, Math.PI * 2);
-            dotsCtx.fillStyle = `hsla(${this.hue}, 60%, 70%, ${this.brightness * 0.2})`;
-            dotsCtx.fill();
+const dots = createDotsRenderer();
+
+function createDotsRenderer() {
+    if (RENDER_IN_WORKER.dots && supportsCanvasWorker(dotsCanvas)) {
+        try {
+            const worker = new Worker('dots-worker.js');
+            const offscreen = dotsCanvas.transferControlToOffscreen();
+            worker.postMessage({ canvas: offscreen }, [offscreen]);
+            const call = method => (...args) => worker.postMessage({ method, args });
+            return {
+                resize: call('resize'),
+                start: call('start'),
+                stop: call('stop'),
+                pause: call('pause'),
+                resume: call('resume'),
+                setMotionScale: call('setMotionScale'),
+                setPointer: call('setPointer'),
+                clearPointer: call('clearPointer'),
+                ripple: call('ripple'),
+                setInteraction: call('setInteraction')
+            };
+        } catch (error) {
+            console.warn('Dots worker unavailable, drawing on the main thread:', error);
         }
     }
+    DotsField.attach(dotsCanvas);
+    return DotsField;
 }
 
-function initDots() {
-    dots = [];
-    const numDots = Math.floor((dotsWidth * dotsHeight) / 8000); // Density based on screen size
-    for (let i = 0; i < numDots; i++) {
-        dots.push(new Dot());
-    }
-}
-
-let dotsAnimationTime = 0;
-
-function animateDots() {
-    dotsCtx.clearRect(0, 0, dotsWidth, dotsHeight);
+// Pointer field, cursor constellation and tap ripples. Overrides for the
+// defaults in dots-field.js go here, e.g. { pointerForce: -12 } to attract.
+const DOTS_INTERACTION = {};
 
-    dotsAnimationTime++;
+function applyDotsInteraction() {
+    dots.setInteraction({ ...DOTS_INTERACTION, motion: !prefersReducedMotion() });
+}
 
-    for (const dot of dots) {
-        dot.update(dotsAnimationTime);
-        dot.draw();
-    }
+// Pointer events cover mouse, pen and touch alike. The canvas sits under
+// the content with pointer-events off, so input is read from the window.
+function attachDotsInput() {
+    window.addEventListener('pointermove', event => {
+        if (landingSequenceFinished) dots.setPointer(event.clientX, event.clientY);
+    }, { passive: true });
+    window.addEventListener('pointerdown', event => {
+        if (!landingSequenceFinished) return;
+        dots.setPointer(event.clientX, event.clientY);
+        dots.ripple(event.clientX, event.clientY);
+    }, { passive: true });
+    // A lifted finger or a mouse leaving the window takes the pointer away
+    const release = event => {
+        if (event.type === 'pointerout' && event.relatedTarget) return;
+        if (event.pointerType === 'mouse' && event.type === 'pointerup') return;
+        dots.clearPointer();
+    };
+    window.addEventListener('pointerup', release);
+    window.addEventListener('pointercancel', release);
+    window.addEventListener('pointerout', release);
+}
 
-    requestAnimationFrame(animateDots);
+function resizeDotsCanvas() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    dots.resize(width, height, canvasPixelRatio(width, height));
 }
 
 function setupNameReveal() {
@@ -453,14 +1069,716 @@ function setupNameReveal() {
     nameEl.dataset.enhanced = 'true';
 }
 
+// The Financial Cosmos charts MANIFOLD_USERNAME's open positions, fetched
+// live, and the bundled sample markets when Manifold can't be read.
+// ?markets=fixture shows the sample markets outright and ?markets=<url>
+// reads an export in MarketData's format.
+function loadMarketData() {
+    if (typeof MarketData === 'undefined' || typeof ObservatoryAnimation === 'undefined') return;
+    const override = new URLSearchParams(window.location.search).get('markets');
+    let request;
+    if (override === 'fixture') request = MarketData.load(MarketData.FIXTURE_URL);
+    else if (/^https?:\/\//i.test(override || '')) request = MarketData.load(override);
+    else {
+        request = MarketData.loadManifold(MANIFOLD_USERNAME)
+            .then(dataset => dataset || MarketData.load(MarketData.FIXTURE_URL));
+    }
+    request.then(dataset => {
+        if (dataset) ObservatoryAnimation.setMarketData(MarketData.toCosmos(dataset));
+    });
+}
+
+// ── Portfolio cards ──
+// Built from data/portfolio.json so updating the site means editing data.
+// Problems in the data are logged for whoever edits it, not shown.
+function portfolioText(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+function portfolioLink(label, url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.textContent = label;
+    return link;
+}
+
+function createPortfolioCard(entry, section) {
+    const card = document.createElement('div');
+    card.className = section === 'projects' ? 'card project-card' : 'card';
+
+    for (const image of entry.images) {
+        const img = document.createElement('img');
+        img.className = 'card-image';
+        img.src = image.src;
+        img.alt = image.alt;
+        img.loading = 'lazy';
+        card.appendChild(img);
+    }
+
+    const heading = portfolioText('h3', null, entry.role || entry.title);
+    if (entry.dates) {
+        const header = document.createElement('div');
+        header.className = 'card-header';
+        header.append(heading, portfolioText('span', 'date', entry.dates));
+        card.appendChild(header);
+    } else {
+        card.appendChild(heading);
+    }
+    if (entry.org) card.appendChild(portfolioText('p', 'company', entry.org));
+
+    const description = document.createElement('p');
+    for (const piece of Portfolio.parseDescription(entry.description)) {
+        description.append(typeof piece === 'string' ? piece : portfolioLink(piece.label, piece.url));
+    }
+    card.appendChild(description);
+
+    if (entry.widget) {
+        const slot = document.createElement('div');
+        slot.className = 'card-widget';
+        slot.dataset.widget = entry.widget;
+        card.appendChild(slot);
+    }
+
+    if (entry.links.length > 0) {
+        const links = document.createElement('p');
+        links.className = 'card-links';
+        entry.links.forEach((link, i) => {
+            if (i > 0) links.append(' · ');
+            links.append(portfolioLink(link.label, link.url));
+        });
+        card.appendChild(links);
+    }
+
+    if (typeof ProjectFilter !== 'undefined') {
+        card.dataset.tags = entry.tags.map(ProjectFilter.slug).join(' ');
+    }
+    if (entry.tags.length > 0) {
+        const tags = document.createElement('div');
+        tags.className = 'card-tags';
+        tags.append(...entry.tags.map(tag => portfolioText('span', 'tag', tag)));
+        card.appendChild(tags);
+    }
+    return card;
+}
+
+function renderPortfolioCards(container, entries, section) {
+    if (!container) return;
+    if (entries.length === 0) {
+        container.replaceChildren(portfolioText('p', 'cards-status', 'Nothing here yet. Check back soon.'));
+        return;
+    }
+    container.replaceChildren(...entries.map(entry => createPortfolioCard(entry, section)));
+    mountCardWidgets(container);
+}
+
+// { endpoint } for ArgueStats.mount, or null to leave the card without stats
+function getArgueStatsSource() {
+    const override = new URLSearchParams(window.location.search).get('argue');
+    const endpoint = /^https?:\/\//i.test(override || '') ? override : ARGUE_STATS_ENDPOINT;
+    return endpoint ? { endpoint } : null;
+}
+
+// Live panels a portfolio entry can ask for by name
+const CARD_WIDGETS = {
+    'argue-stats': slot => {
+        const source = getArgueStatsSource();
+        if (typeof ArgueStats === 'undefined' || !source) return;
+        ArgueStats.mount(slot, source);
+    }
+};
+
+function mountCardWidgets(container) {
+    for (const slot of container.querySelectorAll('.card-widget')) {
+        const mount = CARD_WIDGETS[slot.dataset.widget];
+        if (mount) mount(slot);
+        else console.warn(`Portfolio data: no widget called "${slot.dataset.widget}"`);
+    }
+}
+
+function loadPortfolio() {
+    if (typeof Portfolio === 'undefined') return;
+    Portfolio.load(Portfolio.DATA_URL).then(portfolio => {
+        for (const problem of portfolio.problems) console.warn(`Portfolio data: ${problem}`);
+        renderPortfolioCards(experienceCards, portfolio.experience, 'experience');
+        renderPortfolioCards(projectCards, portfolio.projects, 'projects');
+        if (typeof ProjectFilter !== 'undefined') ProjectFilter.refresh();
+    }).catch(error => {
+        console.error('Portfolio data unavailable:', error);
+        for (const container of [experienceCards, projectCards]) {
+            container?.replaceChildren(portfolioText('p', 'cards-status', 'This section couldn\'t be loaded. Try refreshing the page.'));
+        }
+    }).finally(() => {
+        // Sections above the target only have their height now
+        portfolioLoaded = true;
+        followPendingDeepLink();
+    });
+}
+
+// ── Latest writing ──
+// The section stays hidden until there are posts to show.
+function formatPostDate(iso) {
+    return new Date(iso).toLocaleDateString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+    });
+}
+
+function createPostCard(post) {
+    const card = document.createElement('div');
+    card.className = 'card post-card';
+
+    const heading = document.createElement('h3');
+    heading.appendChild(portfolioLink(post.title, post.url));
+    const date = portfolioText('time', 'date', formatPostDate(post.date));
+    date.dateTime = post.date;
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    header.append(heading, date);
+
+    card.append(header, portfolioText('p', 'company', post.publication));
+    if (post.excerpt) card.appendChild(portfolioText('p', null, post.excerpt));
+    return card;
+}
+
+async function fetchWriting() {
+    if (new URLSearchParams(window.location.search).get('writing') === 'fixture') {
+        return WritingFeed.load(WritingFeed.FIXTURE_URL);
+    }
+    const live = await WritingFeed.loadFeeds();
+    if (live.posts.length > 0) return live;
+    for (const problem of live.problems) console.warn(`Writing feeds: ${problem}`);
+    const snapshot = await WritingFeed.load(WritingFeed.SNAPSHOT_URL);
+    return snapshot.source === 'fixture' ? { ...snapshot, posts: [] } : snapshot;
+}
+
+function loadWriting() {
+    if (typeof WritingFeed === 'undefined' || !writingCards) return;
+    fetchWriting().then(({ posts, problems }) => {
+        for (const problem of problems) console.warn(`Writing: ${problem}`);
+        if (posts.length === 0) return;
+        writingCards.replaceChildren(...posts.slice(0, WRITING_POST_COUNT).map(createPostCard));
+        if (writingSection) writingSection.hidden = false;
+    }).catch(error => {
+        console.error('Latest writing unavailable:', error);
+    });
+}
+
+// ── Manifold widget ──
+// States: loading (showing the cache meanwhile, if there is one), ready,
+// stale (cached data after a failed refresh) and error (nothing to show).
+function getManifoldBase() {
+    const override = new URLSearchParams(window.location.search).get('manifold');
+    if (override === 'fixture' || /^https?:\/\//i.test(override || '')) return override;
+    return ManifoldPortfolio.API_BASE;
+}
+
+function formatMana(value, { signed = false } = {}) {
+    const amount = `Ṁ${Math.round(Math.abs(value)).toLocaleString('en-US')}`;
+    if (value < 0) return `−${amount}`;
+    return signed ? `+${amount}` : amount;
+}
+
+function formatPercent(probability) {
+    return `${Math.round(probability * 100)}%`;
+}
+
+function formatAgo(time, now = Date.now()) {
+    const minutes = Math.round((now - time) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.round(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+function signClass(value) {
+    return value > 0 ? 'up' : value < 0 ? 'down' : '';
+}
+
+// Net worth as a line with a soft fill underneath
+function createSparkline(history) {
+    const SVG = 'http://www.w3.org/2000/svg';
+    const width = 240, height = 48, pad = 3;
+    const values = history.map(point => point.value);
+    const lo = Math.min(...values), hi = Math.max(...values);
+    const span = hi - lo || 1;
+    const points = values.map((value, i) => [
+        (i / (values.length - 1)) * width,
+        pad + (1 - (value - lo) / span) * (height - pad * 2)
+    ]);
+    const line = points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)} ${y.toFixed(1)}`).join(' ');
+
+    const svg = document.createElementNS(SVG, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('class', `manifold-sparkline ${signClass(values[values.length - 1] - values[0])}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', `Net worth over the last month, from ${formatMana(values[0])} to ${formatMana(values[values.length - 1])}`);
+    const area = document.createElementNS(SVG, 'path');
+    area.setAttribute('class', 'sparkline-area');
+    area.setAttribute('d', `${line} L${width} ${height} L0 ${height} Z`);
+    const stroke = document.createElementNS(SVG, 'path');
+    stroke.setAttribute('class', 'sparkline-line');
+    stroke.setAttribute('d', line);
+    svg.append(area, stroke);
+    return svg;
+}
+
+function createManifoldStat(label, value, className) {
+    const stat = document.createElement('div');
+    stat.className = 'manifold-stat';
+    stat.append(portfolioText('span', 'manifold-stat-label', label), portfolioText('span', `manifold-stat-value ${className || ''}`.trim(), value));
+    return stat;
+}
+
+function createMarketLink(item) {
+    return item.url ? portfolioLink(item.question, item.url) : portfolioText('span', null, item.question);
+}
+
+function createManifoldList(title, items, renderItem, emptyText) {
+    const column = document.createElement('div');
+    column.className = 'manifold-list';
+    column.appendChild(portfolioText('h3', null, title));
+    if (items.length === 0) {
+        column.appendChild(portfolioText('p', 'cards-status', emptyText));
+        return column;
+    }
+    const list = document.createElement('ul');
+    for (const item of items) {
+        const row = document.createElement('li');
+        row.append(...renderItem(item));
+        list.appendChild(row);
+    }
+    column.appendChild(list);
+    return column;
+}
+
+function createManifoldStatus(state, summary) {
+    const status = document.createElement('p');
+    status.className = 'manifold-status';
+    if (state === 'loading') {
+        status.textContent = summary ? 'Refreshing…' : 'Loading Manifold portfolio…';
+    } else if (state === 'error') {
+        status.textContent = 'Manifold couldn\'t be reached. ';
+    } else if (summary?.fetchedAt) {
+        const prefix = state === 'stale' ? 'Showing data from' : 'Updated';
+        status.textContent = `${prefix} ${formatAgo(summary.fetchedAt)}${summary.source === 'fixture' ? ' (fixture)' : ''}. `;
+    }
+    if (state === 'error' || state === 'stale') {
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'manifold-retry';
+        retry.textContent = 'Try again';
+        retry.addEventListener('click', () => loadManifold({ force: true }));
+        status.appendChild(retry);
+    }
+    return status;
+}
+
+function renderManifold(state, summary) {
+    manifoldWidget.dataset.state = state;
+    manifoldWidget.setAttribute('aria-busy', String(state === 'loading'));
+    const status = createManifoldStatus(state, summary);
+    if (!summary) {
+        manifoldWidget.replaceChildren(status);
+        return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'manifold-header';
+    const profile = portfolioLink(`@${summary.user.username}`, summary.user.url);
+    profile.className = 'manifold-user';
+    header.append(profile, status);
+
+    const stats = document.createElement('div');
+    stats.className = 'manifold-stats';
+    stats.appendChild(createManifoldStat('Net worth', formatMana(summary.netWorth)));
+    if (summary.profit !== null) {
+        stats.appendChild(createManifoldStat('All-time profit', formatMana(summary.profit, { signed: true }), signClass(summary.profit)));
+    }
+    if (summary.change !== null) {
+        stats.appendChild(createManifoldStat('Last month', formatMana(summary.change, { signed: true }), signClass(summary.change)));
+    }
+
+    const lists = document.createElement('div');
+    lists.className = 'manifold-lists';
+    lists.append(
+        createManifoldList('Top positions', summary.positions, position => [
+            createMarketLink(position),
+            portfolioText('span', 'manifold-meta', [
+                `${formatMana(position.value)} ${position.outcome}`,
+                // The market's probability is YES's; a NO position is at the rest
+                position.probability !== null
+                    ? `at ${formatPercent(position.outcome === 'NO' ? 1 - position.probability : position.probability)}` : null
+            ].filter(Boolean).join(' '))
+        ], 'No open positions.'),
+        createManifoldList('Recent trades', summary.trades, trade => [
+            createMarketLink(trade),
+            portfolioText('span', 'manifold-meta', [
+                `${trade.amount > 0 ? 'Bought' : 'Sold'} ${formatMana(Math.abs(trade.amount))} ${trade.outcome}`,
+                trade.probBefore !== null && trade.probAfter !== null
+                    ? `${formatPercent(trade.probBefore)} → ${formatPercent(trade.probAfter)}` : null,
+                formatAgo(trade.time)
+            ].filter(Boolean).join(' · '))
+        ], 'No trades yet.')
+    );
+
+    const parts = [header, stats];
+    if (summary.history.length > 1) parts.push(createSparkline(summary.history));
+    parts.push(lists);
+    manifoldWidget.replaceChildren(...parts);
+}
+
+function summarizeManifold(payload) {
+    try {
+        return payload ? ManifoldPortfolio.summarize(payload) : null;
+    } catch (error) {
+        console.warn('Cached Manifold data unusable:', error);
+        return null;
+    }
+}
+
+// force skips the recent-cache shortcut (the retry button)
+function loadManifold({ force = false } = {}) {
+    if (typeof ManifoldPortfolio === 'undefined' || !manifoldWidget) return;
+    const base = getManifoldBase();
+    const cached = summarizeManifold(readManifoldCache(base));
+    if (cached && !force && Date.now() - cached.fetchedAt < MANIFOLD_REFRESH_AFTER) {
+        renderManifold('ready', cached);
+        return;
+    }
+    renderManifold('loading', cached);
+
+    ManifoldPortfolio.load(MANIFOLD_USERNAME, base).then(payload => {
+        const summary = ManifoldPortfolio.summarize(payload);
+        rememberManifold(base, payload);
+        renderManifold('ready', summary);
+    }).catch(error => {
+        console.error('Manifold portfolio unavailable:', error);
+        if (!cached) {
+            renderManifold('error', null);
+            return;
+        }
+        renderManifold('stale', cached);
+    });
+}
+
+// ── Tonight's Sky ──
+// Planned in the browser from the bundled ephemeris and catalog. Times are
+// shown in the visitor's own time zone, whichever location is picked. The
+// plan is redone when the tab comes back into view (positions are "now")
+// and when its night is over.
+let skyLocation = null;
+let skyReplanTimer = null;
+
+const SKY_DARKNESS = {
+    nautical: 'Only nautical twilight',
+    civil: 'Only civil twilight'
+};
+
+function formatSkyTime(date, fallback = '—') {
+    return date ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : fallback;
+}
+
+function formatDegrees(value) {
+    return `${Math.round(value)}°`;
+}
+
+function formatCoordinates({ latitude, longitude }) {
+    return `${Math.abs(latitude).toFixed(2)}° ${latitude < 0 ? 'S' : 'N'}, ${Math.abs(longitude).toFixed(2)}° ${longitude < 0 ? 'W' : 'E'}`;
+}
+
+function createSkyCard(title, rows) {
+    const card = document.createElement('div');
+    card.className = 'sky-card';
+    card.appendChild(portfolioText('h3', null, title));
+    const list = document.createElement('dl');
+    for (const [label, value] of rows) list.append(portfolioText('dt', null, label), portfolioText('dd', null, value));
+    card.appendChild(list);
+    return card;
+}
+
+function sunRows({ sun, darkness, window: night }) {
+    let dark;
+    if (!darkness) dark = ['Dark', 'Not tonight; the Sun stays up'];
+    else if (darkness.start.getTime() === night.start.getTime()) dark = ['Dark', 'All day and night'];
+    else if (darkness.kind === 'astronomical') dark = ['Fully dark', `${formatSkyTime(darkness.start)} – ${formatSkyTime(darkness.end)}`];
+    else dark = ['Darkest', `${SKY_DARKNESS[darkness.kind]}, ${formatSkyTime(darkness.start)} – ${formatSkyTime(darkness.end)}`];
+    return [
+        ['Sunset', formatSkyTime(sun.set, 'Doesn\'t set')],
+        dark,
+        ['Sunrise', formatSkyTime(sun.rise, 'Doesn\'t rise')]
+    ];
+}
+
+function moonRows({ moon }) {
+    return [
+        ['Phase', `${moon.name}, ${Math.round(moon.illumination * 100)}% lit`],
+        ['Moonrise', formatSkyTime(moon.rise, 'None tonight')],
+        ['Moonset', formatSkyTime(moon.set, 'None tonight')]
+    ];
+}
+
+// Where each planet is at the reference time (now, or nightfall before
+// it's dark), or when it's best placed if it isn't clear of the horizon then
+function planetRows({ planets }) {
+    return planets.map(planet => {
+        if (!planet.visible) return [planet.name, 'Not up tonight'];
+        if (planet.up) return [planet.name, `${formatDegrees(planet.altitude)} ${planet.direction}`];
+        return [planet.name, `Best ${formatSkyTime(planet.bestTime)}, ${formatDegrees(planet.maxAltitude)} ${planet.bestDirection}`];
+    });
+}
+
+function createSkyTargets(plan) {
+    const column = document.createElement('div');
+    column.className = 'sky-targets';
+    column.appendChild(portfolioText('h3', null, 'Worth a look'));
+    if (plan.objects.length === 0) {
+        column.appendChild(portfolioText('p', 'cards-status', plan.darkness
+            ? `Nothing on the list climbs above ${plan.minAltitude}° while it's dark tonight.`
+            : 'It doesn\'t get dark enough tonight for deep-sky targets.'));
+        return column;
+    }
+    column.appendChild(portfolioText('p', 'sky-meta', `Above ${plan.minAltitude}° once it's dark, in order of when each is highest`));
+    const list = document.createElement('ul');
+    for (const target of plan.objects) {
+        const row = document.createElement('li');
+        const name = target.name === target.id ? target.id : `${target.name} (${target.id})`;
+        row.append(
+            portfolioText('span', 'sky-target-name', name),
+            portfolioText('span', 'sky-meta', [
+                `${target.type}, mag ${target.mag}`,
+                `best ${formatSkyTime(target.bestTime)} at ${formatDegrees(target.maxAltitude)} ${target.direction}`,
+                target.moonlit ? 'moonlit' : null
+            ].filter(Boolean).join(' · '))
+        );
+        list.appendChild(row);
+    }
+    column.appendChild(list);
+    return column;
+}
+
+function renderSkyPlan(plan) {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const summary = document.createElement('div');
+    summary.className = 'sky-summary';
+    summary.append(
+        createSkyCard('Sun', sunRows(plan)),
+        createSkyCard('Moon', moonRows(plan)),
+        createSkyCard(`Planets at ${formatSkyTime(plan.referenceTime, 'nightfall')}`, planetRows(plan))
+    );
+    skyPlanner.replaceChildren(
+        summary,
+        createSkyTargets(plan),
+        portfolioText('p', 'sky-meta', `Times are in your time zone${timeZone ? ` (${timeZone})` : ''}.`)
+    );
+}
+
+function showSkyMessage(text) {
+    skyLocationName.dataset.state = 'error';
+    skyLocationName.textContent = text;
+}
+
+// Plans for location and makes it current; false (with the reason shown)
+// when the location doesn't make sense
+function setSkyLocation(location, { remember = true } = {}) {
+    const minAltitude = Number(skyMinAlt.value);
+    let plan;
+    try {
+        plan = TonightsSky.plan(new Date(), location, { minAltitude });
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        showSkyMessage(skyLocation ? `${error.message}. Still showing ${skyLocation.name}.` : `${error.message}.`);
+        return false;
+    }
+    skyLocation = location;
+    skyLat.value = location.latitude;
+    skyLon.value = location.longitude;
+    delete skyLocationName.dataset.state;
+    skyLocationName.textContent = `From ${location.name} (${formatCoordinates(location)})`;
+    if (remember) rememberSkyLocation({ ...location, minAltitude });
+    renderSkyPlan(plan);
+    clearTimeout(skyReplanTimer);
+    skyReplanTimer = setTimeout(replanSky, (plan.sun.rise || plan.window.end) - Date.now() + 1000);
+    return true;
+}
+
+function replanSky() {
+    if (skyLocation) setSkyLocation(skyLocation, { remember: false });
+}
+
+function useCurrentLocation() {
+    skyLocate.disabled = true;
+    skyLocationName.textContent = 'Finding you…';
+    navigator.geolocation.getCurrentPosition(position => {
+        skyLocate.disabled = false;
+        setSkyLocation({
+            name: 'your location',
+            latitude: Number(position.coords.latitude.toFixed(2)),
+            longitude: Number(position.coords.longitude.toFixed(2))
+        });
+    }, error => {
+        skyLocate.disabled = false;
+        showSkyMessage(`Couldn't get your location (${error.message || 'permission denied'}). Still showing ${skyLocation.name}.`);
+    }, { timeout: GEOLOCATION_TIMEOUT, maximumAge: 60 * 60 * 1000 });
+}
+
+function setupSkyPlanner() {
+    if (typeof TonightsSky === 'undefined' || !skyPlanner) return;
+    const saved = readSkyLocation();
+    if (saved && skyMinAlt.querySelector(`option[value="${saved.minAltitude}"]`)) skyMinAlt.value = String(saved.minAltitude);
+    const start = saved ? { name: saved.name, latitude: saved.latitude, longitude: saved.longitude } : null;
+    if (!start || !setSkyLocation(start, { remember: false })) setSkyLocation(TonightsSky.WESTCHESTER, { remember: false });
+
+    skyForm.addEventListener('submit', event => {
+        event.preventDefault();
+        const latitude = skyLat.value.trim() === '' ? NaN : Number(skyLat.value);
+        const longitude = skyLon.value.trim() === '' ? NaN : Number(skyLon.value);
+        const same = latitude === skyLocation.latitude && longitude === skyLocation.longitude;
+        setSkyLocation({ name: same ? skyLocation.name : 'your coordinates', latitude, longitude });
+    });
+    skyMinAlt.addEventListener('change', () => setSkyLocation(skyLocation));
+    skyReset.addEventListener('click', () => {
+        skyMinAlt.value = String(TonightsSky.DEFAULT_MIN_ALTITUDE);
+        rememberSkyLocation(null);
+        setSkyLocation(TonightsSky.WESTCHESTER, { remember: false });
+    });
+    if (navigator.geolocation) skyLocate.addEventListener('click', useCurrentLocation);
+    else skyLocate.hidden = true;
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) replanSky();
+    });
+}
+
+// ── Hash links ──
+// Every #link on the page goes through one handler: #section scrolls there
+// smoothly, and #projects?tag=astronomy also filters the projects. Hashes
+// that don't name a section here, and modified clicks, are left to the
+// browser.
+
+// '#projects?tag=astronomy' → { id: 'projects', params: URLSearchParams }
+function parseSiteHash(hash) {
+    const raw = String(hash || '').replace(/^#/, '');
+    const query = raw.indexOf('?');
+    let id = query === -1 ? raw : raw.slice(0, query);
+    try {
+        id = decodeURIComponent(id);
+    } catch (err) {
+        // Malformed escapes just won't match an id
+    }
+    return { id, params: new URLSearchParams(query === -1 ? '' : raw.slice(query + 1)) };
+}
+
+function getHashTarget(hash) {
+    const { id } = parseSiteHash(hash);
+    return id ? document.getElementById(id) : null;
+}
+
+// Applies the hash's filter and scrolls to its section; false when it
+// names nothing on this page. A plain #projects keeps the current filter
+// unless resetFilter (back/forward and hand-edited URLs).
+function followHash(hash, { resetFilter = false } = {}) {
+    const target = getHashTarget(hash);
+    if (!target) return false;
+    const { id, params } = parseSiteHash(hash);
+    if (id === 'projects' && typeof ProjectFilter !== 'undefined' && (params.has('tag') || resetFilter)) {
+        ProjectFilter.setTag(params.get('tag'), { animate: !prefersReducedMotion() });
+    }
+    target.scrollIntoView({
+        behavior: prefersReducedMotion() ? 'auto' : 'smooth',
+        block: 'start'
+    });
+    return true;
+}
+
+// A link the page was opened with waits for the site and the cards
+function followPendingDeepLink() {
+    if (!pendingDeepLink || !landingSequenceFinished || !portfolioLoaded) return;
+    const hash = pendingDeepLink;
+    pendingDeepLink = null;
+    followHash(hash);
+}
+
+function setupProjectFilter() {
+    if (typeof ProjectFilter === 'undefined') return;
+    ProjectFilter.attach({
+        cards: projectCards,
+        chips: projectFilters,
+        empty: projectFilterEmpty,
+        tags: typeof Portfolio !== 'undefined' ? Portfolio.TAGS : [],
+        // Chips keep the URL shareable without adding history entries
+        onChange: tag => history.replaceState(null, '', ProjectFilter.hashFor(tag))
+    });
+}
+
+function setupHashLinks() {
+    document.addEventListener('click', event => {
+        if (event.defaultPrevented || event.button !== 0) return;
+        if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+        const anchor = event.target.closest?.('a[href^="#"]');
+        if (!anchor) return;
+        const hash = anchor.getAttribute('href');
+        if (!followHash(hash)) return;
+        event.preventDefault();
+        if (parseSiteHash(hash).params.has('tag')) history.replaceState(null, '', hash);
+    });
+    window.addEventListener('hashchange', () => followHash(window.location.hash, { resetFilter: true }));
+
+    if (getHashTarget(window.location.hash)) {
+        const { id, params } = parseSiteHash(window.location.hash);
+        if (id === 'projects' && typeof ProjectFilter !== 'undefined') ProjectFilter.setTag(params.get('tag'));
+        pendingDeepLink = window.location.hash;
+    }
+}
+
+// ?quality=low|medium|high pins the observatory's render tier for testing;
+// otherwise the frame-time governor picks one on the fly.
+const QUALITY_MODES = ['low', 'medium', 'high', 'auto'];
+
+function applyQualityOverride() {
+    if (typeof ObservatoryAnimation === 'undefined') return;
+    const override = new URLSearchParams(window.location.search).get('quality');
+    if (QUALITY_MODES.includes(override)) ObservatoryAnimation.setQuality(override);
+}
+
+// ?explore=1|0 turns holding the cosmos open on or off
+function getExploreCosmos() {
+    const override = new URLSearchParams(window.location.search).get('explore');
+    if (override === '1' || override === '0') return override === '1';
+    return EXPLORE_COSMOS;
+}
+
+// ?renderer=auto|webgl|canvas picks the observatory's particle backend;
+// 'auto' uses WebGL2 wherever it's hardware accelerated and Canvas 2D
+// everywhere else. The GL path composites each particle pool back into the
+// 2D canvas, so the site stays on Canvas 2D until timings show it's faster.
+const RENDERER_MODES = ['auto', 'webgl', 'canvas'];
+const OBSERVATORY_RENDERER = 'canvas';
+
+function getObservatoryRenderer() {
+    const override = new URLSearchParams(window.location.search).get('renderer');
+    return RENDERER_MODES.includes(override) ? override : OBSERVATORY_RENDERER;
+}
+
 // Initialize
-function init() {
+function init(policy = getIntroPolicy()) {
+    if (policy === 'skip') {
+        resizeDotsCanvas();
+        revealMainSite();
+        return;
+    }
+
     setupNameReveal();
     updateIntroProgress(0);
+    introClock.reset();
     resizeLinesCanvas();
     resizeDotsCanvas();
     initLines();
     attachSkipListeners();
+    attachChapterHandlers();
 
     setTimeout(() => {
         if (!landingSequenceFinished && skipHint) {
@@ -468,43 +1786,87 @@ function init() {
         }
     }, 1500);
 
+    // Reduced motion goes straight to the observatory stills, then the site
+    if (prefersReducedMotion()) {
+        observatoryOffset = 0;
+        startObservatorySequence();
+        return;
+    }
+
+    observatoryOffset = INTRO_DURATION;
+    buildIntroChapters();
+
+    // Short intro: jump straight to the final observatory phase. getPhases()
+    // is in registration order, so take the one that starts last.
+    const phases = typeof ObservatoryAnimation !== 'undefined' ? ObservatoryAnimation.getPhases() : [];
+    if (policy === 'short' && phases.length > 0) {
+        const last = phases.reduce((latest, phase) => phase.start > latest.start ? phase : latest);
+        introClock.seek(observatoryOffset + last.start);
+        startObservatorySequence();
+        return;
+    }
+
     // Start lines animation
     requestAnimationFrame(animateLines);
 }
 
+replayIntroButton?.addEventListener('click', replayIntro);
+
+reducedMotionQuery?.addEventListener?.('change', () => {
+    dots.setMotionScale(prefersReducedMotion() ? 0.1 : 1);
+    applyDotsInteraction();
+    if (prefersReducedMotion() && !landingSequenceFinished) {
+        skipIntro();
+    }
+});
+
 // Handle resize
-window.addEventListener('resize', () => {
+function handleResize() {
     resizeLinesCanvas();
     resizeDotsCanvas();
 
-    if (!mainSite.classList.contains('visible')) {
+    if (!landingSequenceFinished) {
         initLines();
     }
 
-    // Reinitialize dots if on main site
-    if (mainSite.classList.contains('visible')) {
-        initDots();
-    }
-
     // Resize observatory animation if running
     if (typeof ObservatoryAnimation !== 'undefined') {
-        ObservatoryAnimation.resize();
+        ObservatoryAnimation.resize(linesWidth, linesHeight, linesPixelRatio);
     }
-});
+}
 
-// Smooth scroll for navigation
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function (e) {
-        e.preventDefault();
-        const target = document.querySelector(this.getAttribute('href'));
-        if (target) {
-            target.scrollIntoView({
-                behavior: 'smooth',
-                block: 'start'
-            });
-        }
-    });
+// Browser zoom and moving between monitors change devicePixelRatio, not
+// always with a resize event. A query for the current ratio fires once it
+// stops matching; re-arm it for the new ratio each time.
+function watchPixelRatio() {
+    const query = window.matchMedia?.(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query?.addEventListener?.('change', () => {
+        handleResize();
+        watchPixelRatio();
+    }, { once: true });
+}
+
+window.addEventListener('resize', handleResize);
+
+// No point animating a background nobody can see
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseDots('hidden');
+    else resumeDots('hidden');
 });
+if (document.hidden) pauseDots('hidden');
+
+attachDotsInput();
+watchPixelRatio();
+setupSoundToggle();
+
+setupProjectFilter();
+setupHashLinks();
+setupSkyPlanner();
 
 // Start
+applyQualityOverride();
+loadMarketData();
+loadPortfolio();
+loadWriting();
+loadManifold();
 init();
@@ -0,0 +1,47 @@
+// Sky Catalog — curated deep-sky targets for the Tonight's Sky planner
+// Showpieces a small telescope (or binoculars, for the brightest) does
+// justice to from suburban skies, spread across the seasons. Coordinates
+// are J2000 in catalog notation — RA 'hh mm.m', Dec '±dd mm' — which is
+// close enough to the equinox of date for picking what's well placed.
+
+const SkyCatalog = [
+    { id: 'M31', name: 'Andromeda Galaxy', type: 'Galaxy', ra: '00 42.7', dec: '+41 16', mag: 3.4 },
+    { id: 'NGC 253', name: 'Sculptor Galaxy', type: 'Galaxy', ra: '00 47.6', dec: '-25 17', mag: 7.1 },
+    { id: 'NGC 457', name: 'Owl Cluster', type: 'Open cluster', ra: '01 19.1', dec: '+58 20', mag: 6.4 },
+    { id: 'M33', name: 'Triangulum Galaxy', type: 'Galaxy', ra: '01 33.9', dec: '+30 39', mag: 5.7 },
+    { id: 'NGC 869/884', name: 'Double Cluster', type: 'Open cluster', ra: '02 20.0', dec: '+57 08', mag: 3.7 },
+    { id: 'M45', name: 'Pleiades', type: 'Open cluster', ra: '03 47.0', dec: '+24 07', mag: 1.6 },
+    { id: 'M1', name: 'Crab Nebula', type: 'Supernova remnant', ra: '05 34.5', dec: '+22 01', mag: 8.4 },
+    { id: 'M42', name: 'Orion Nebula', type: 'Nebula', ra: '05 35.4', dec: '-05 27', mag: 4.0 },
+    { id: 'M36', name: 'Pinwheel Cluster', type: 'Open cluster', ra: '05 36.1', dec: '+34 08', mag: 6.0 },
+    { id: 'M37', name: 'Salt and Pepper Cluster', type: 'Open cluster', ra: '05 52.4', dec: '+32 33', mag: 5.6 },
+    { id: 'M35', name: 'Shoe-Buckle Cluster', type: 'Open cluster', ra: '06 08.9', dec: '+24 20', mag: 5.1 },
+    { id: 'NGC 2392', name: 'Eskimo Nebula', type: 'Planetary nebula', ra: '07 29.2', dec: '+20 55', mag: 9.1 },
+    { id: 'M44', name: 'Beehive Cluster', type: 'Open cluster', ra: '08 40.1', dec: '+19 59', mag: 3.7 },
+    { id: 'M81', name: "Bode's Galaxy", type: 'Galaxy', ra: '09 55.6', dec: '+69 04', mag: 6.9 },
+    { id: 'M82', name: 'Cigar Galaxy', type: 'Galaxy', ra: '09 55.8', dec: '+69 41', mag: 8.4 },
+    { id: 'M97', name: 'Owl Nebula', type: 'Planetary nebula', ra: '11 14.8', dec: '+55 01', mag: 9.9 },
+    { id: 'NGC 4565', name: 'Needle Galaxy', type: 'Galaxy', ra: '12 36.3', dec: '+25 59', mag: 9.6 },
+    { id: 'M104', name: 'Sombrero Galaxy', type: 'Galaxy', ra: '12 40.0', dec: '-11 37', mag: 8.0 },
+    { id: 'M64', name: 'Black Eye Galaxy', type: 'Galaxy', ra: '12 56.7', dec: '+21 41', mag: 8.5 },
+    { id: 'M63', name: 'Sunflower Galaxy', type: 'Galaxy', ra: '13 15.8', dec: '+42 02', mag: 8.6 },
+    { id: 'M51', name: 'Whirlpool Galaxy', type: 'Galaxy', ra: '13 29.9', dec: '+47 12', mag: 8.4 },
+    { id: 'M3', name: 'M3', type: 'Globular cluster', ra: '13 42.2', dec: '+28 23', mag: 6.2 },
+    { id: 'M101', name: 'Pinwheel Galaxy', type: 'Galaxy', ra: '14 03.2', dec: '+54 21', mag: 7.9 },
+    { id: 'M5', name: 'M5', type: 'Globular cluster', ra: '15 18.6', dec: '+02 05', mag: 5.6 },
+    { id: 'M13', name: 'Hercules Cluster', type: 'Globular cluster', ra: '16 41.7', dec: '+36 28', mag: 5.8 },
+    { id: 'M92', name: 'M92', type: 'Globular cluster', ra: '17 17.1', dec: '+43 08', mag: 6.4 },
+    { id: 'M20', name: 'Trifid Nebula', type: 'Nebula', ra: '18 02.3', dec: '-23 02', mag: 6.3 },
+    { id: 'M8', name: 'Lagoon Nebula', type: 'Nebula', ra: '18 03.6', dec: '-24 23', mag: 6.0 },
+    { id: 'M17', name: 'Omega Nebula', type: 'Nebula', ra: '18 20.8', dec: '-16 11', mag: 6.0 },
+    { id: 'M22', name: 'M22', type: 'Globular cluster', ra: '18 36.4', dec: '-23 54', mag: 5.1 },
+    { id: 'M11', name: 'Wild Duck Cluster', type: 'Open cluster', ra: '18 51.1', dec: '-06 16', mag: 6.3 },
+    { id: 'M57', name: 'Ring Nebula', type: 'Planetary nebula', ra: '18 53.6', dec: '+33 02', mag: 8.8 },
+    { id: 'NGC 6826', name: 'Blinking Planetary', type: 'Planetary nebula', ra: '19 44.8', dec: '+50 31', mag: 8.8 },
+    { id: 'M27', name: 'Dumbbell Nebula', type: 'Planetary nebula', ra: '19 59.6', dec: '+22 43', mag: 7.5 },
+    { id: 'NGC 6960', name: 'Western Veil Nebula', type: 'Supernova remnant', ra: '20 45.7', dec: '+30 43', mag: 7.0 },
+    { id: 'NGC 7000', name: 'North America Nebula', type: 'Nebula', ra: '20 59.3', dec: '+44 31', mag: 4.0 },
+    { id: 'M15', name: 'M15', type: 'Globular cluster', ra: '21 30.0', dec: '+12 10', mag: 6.2 },
+    { id: 'NGC 7662', name: 'Blue Snowball', type: 'Planetary nebula', ra: '23 25.9', dec: '+42 33', mag: 8.6 },
+    { id: 'NGC 7789', name: "Caroline's Rose", type: 'Open cluster', ra: '23 57.0', dec: '+56 43', mag: 6.7 }
+];
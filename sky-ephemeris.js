@@ -0,0 +1,230 @@
+// Sky Ephemeris — low-precision Sun, Moon and planet positions
+// Orbital elements and perturbation terms follow Paul Schlyter's "How to
+// compute planetary positions": good to a few arcminutes for the planets
+// and the Moon over this century, far finer than a planner needs. Angles
+// are degrees, RA in degrees too, times are Dates (UTC inside), and
+// positions are for the equinox of date. Longitudes are east-positive.
+
+const SkyEphemeris = (function () {
+    const RAD = Math.PI / 180;
+    const DAY_MS = 86400000;
+    const J2000_DAY0 = Date.UTC(1999, 11, 31);     // Schlyter's day 0: 2000 Jan 0.0 UT
+
+    const sin = deg => Math.sin(deg * RAD);
+    const cos = deg => Math.cos(deg * RAD);
+    const atan2 = (y, x) => Math.atan2(y, x) / RAD;
+    const asin = x => Math.asin(Math.max(-1, Math.min(1, x))) / RAD;
+
+    function normalize(deg) {
+        return ((deg % 360) + 360) % 360;
+    }
+
+    // Days (with fraction) since 2000 Jan 0.0 UT
+    function dayNumber(date) {
+        return (date.getTime() - J2000_DAY0) / DAY_MS;
+    }
+
+    function obliquity(d) {
+        return 23.4393 - 3.563e-7 * d;
+    }
+
+    // N, i, w, a, e, M for day d; the Moon's a is in Earth radii, the rest in AU
+    const ELEMENTS = {
+        sun: d => [0, 0, 282.9404 + 4.70935e-5 * d, 1, 0.016709 - 1.151e-9 * d, 356.0470 + 0.9856002585 * d],
+        moon: d => [125.1228 - 0.0529538083 * d, 5.1454, 318.0634 + 0.1643573223 * d, 60.2666, 0.054900, 115.3654 + 13.0649929509 * d],
+        mercury: d => [48.3313 + 3.24587e-5 * d, 7.0047 + 5.00e-8 * d, 29.1241 + 1.01444e-5 * d, 0.387098, 0.205635 + 5.59e-10 * d, 168.6562 + 4.0923344368 * d],
+        venus: d => [76.6799 + 2.46590e-5 * d, 3.3946 + 2.75e-8 * d, 54.8910 + 1.38374e-5 * d, 0.723330, 0.006773 - 1.302e-9 * d, 48.0052 + 1.6021302244 * d],
+        mars: d => [49.5574 + 2.11081e-5 * d, 1.8497 - 1.78e-8 * d, 286.5016 + 2.92961e-5 * d, 1.523688, 0.093405 + 2.516e-9 * d, 18.6021 + 0.5240207766 * d],
+        jupiter: d => [100.4542 + 2.76854e-5 * d, 1.3030 - 1.557e-7 * d, 273.8777 + 1.64505e-5 * d, 5.20256, 0.048498 + 4.469e-9 * d, 19.8950 + 0.0830853001 * d],
+        saturn: d => [113.6634 + 2.38980e-5 * d, 2.4886 - 1.081e-7 * d, 339.3939 + 2.97661e-5 * d, 9.55475, 0.055546 - 9.499e-9 * d, 316.9670 + 0.0334442282 * d]
+    };
+    const PLANETS = ['mercury', 'venus', 'mars', 'jupiter', 'saturn'];
+
+    function solveKepler(M, e) {
+        let E = M + (e / RAD) * sin(M) * (1 + e * cos(M));
+        for (let i = 0; i < 10; i++) {
+            const delta = (E - (e / RAD) * sin(E) - M) / (1 - e * cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-6) break;
+        }
+        return E;
+    }
+
+    // Ecliptic longitude, latitude and distance around the orbit's centre
+    function orbitPosition(body, d) {
+        const [N, i, w, a, e, M] = ELEMENTS[body](d);
+        const E = solveKepler(normalize(M), e);
+        const xv = a * (cos(E) - e);
+        const yv = a * Math.sqrt(1 - e * e) * sin(E);
+        const v = atan2(yv, xv);
+        const r = Math.sqrt(xv * xv + yv * yv);
+        const x = r * (cos(N) * cos(v + w) - sin(N) * sin(v + w) * cos(i));
+        const y = r * (sin(N) * cos(v + w) + cos(N) * sin(v + w) * cos(i));
+        const z = r * sin(v + w) * sin(i);
+        return { lon: normalize(atan2(y, x)), lat: atan2(z, Math.sqrt(x * x + y * y)), r };
+    }
+
+    function sunEcliptic(d) {
+        const [, , w, , , M] = ELEMENTS.sun(d);
+        const { lon, r } = orbitPosition('sun', d);
+        return { lon, lat: 0, r, M: normalize(M), L: normalize(M + w) };
+    }
+
+    // The Moon's elements are geocentric already; the largest solar
+    // perturbations bring it to a few arcminutes
+    function moonEcliptic(d) {
+        const [Nm, , wm, , , Mm] = ELEMENTS.moon(d);
+        const sun = sunEcliptic(d);
+        const Lm = Nm + wm + Mm;
+        const D = Lm - sun.L;
+        const F = Lm - Nm;
+        const Ms = sun.M;
+        const base = orbitPosition('moon', d);
+        const lon = base.lon
+            - 1.274 * sin(Mm - 2 * D) + 0.658 * sin(2 * D) - 0.186 * sin(Ms)
+            - 0.059 * sin(2 * Mm - 2 * D) - 0.057 * sin(Mm - 2 * D + Ms) + 0.053 * sin(Mm + 2 * D)
+            + 0.046 * sin(2 * D - Ms) + 0.041 * sin(Mm - Ms) - 0.035 * sin(D)
+            - 0.031 * sin(Mm + Ms) - 0.015 * sin(2 * F - 2 * D) + 0.011 * sin(Mm - 4 * D);
+        const lat = base.lat
+            - 0.173 * sin(F - 2 * D) - 0.055 * sin(Mm - F - 2 * D) - 0.046 * sin(Mm + F - 2 * D)
+            + 0.033 * sin(F + 2 * D) + 0.017 * sin(2 * Mm + F);
+        const r = base.r - 0.58 * cos(Mm - 2 * D) - 0.46 * cos(2 * D);
+        return { lon: normalize(lon), lat, r };
+    }
+
+    // Heliocentric position, with Jupiter and Saturn's mutual perturbations
+    function planetHeliocentric(body, d) {
+        const pos = orbitPosition(body, d);
+        if (body !== 'jupiter' && body !== 'saturn') return pos;
+        const Mj = normalize(ELEMENTS.jupiter(d)[5]);
+        const Ms = normalize(ELEMENTS.saturn(d)[5]);
+        if (body === 'jupiter') {
+            pos.lon += -0.332 * sin(2 * Mj - 5 * Ms - 67.6) - 0.056 * sin(2 * Mj - 2 * Ms + 21)
+                + 0.042 * sin(3 * Mj - 5 * Ms + 21) - 0.036 * sin(Mj - 2 * Ms)
+                + 0.022 * cos(Mj - Ms) + 0.023 * sin(2 * Mj - 3 * Ms + 52) - 0.016 * sin(Mj - 5 * Ms - 69);
+        } else {
+            pos.lon += 0.812 * sin(2 * Mj - 5 * Ms - 67.6) - 0.229 * cos(2 * Mj - 4 * Ms - 2)
+                + 0.119 * sin(Mj - 2 * Ms - 3) + 0.046 * sin(2 * Mj - 6 * Ms - 69) + 0.014 * sin(Mj - 3 * Ms + 32);
+            pos.lat += -0.020 * cos(2 * Mj - 4 * Ms - 2) + 0.018 * sin(2 * Mj - 6 * Ms - 49);
+        }
+        return pos;
+    }
+
+    function toEquatorial(lon, lat, r, d) {
+        const x = r * cos(lon) * cos(lat);
+        const y = r * sin(lon) * cos(lat);
+        const z = r * sin(lat);
+        return rectToEquatorial(x, y, z, d);
+    }
+
+    function rectToEquatorial(x, y, z, d) {
+        const ecl = obliquity(d);
+        const ye = y * cos(ecl) - z * sin(ecl);
+        const ze = y * sin(ecl) + z * cos(ecl);
+        return { ra: normalize(atan2(ye, x)), dec: atan2(ze, Math.sqrt(x * x + ye * ye)), distance: Math.sqrt(x * x + y * y + z * z) };
+    }
+
+    // Geocentric { ra, dec, distance } of 'sun', 'moon' or a planet; the
+    // Moon's distance is in Earth radii, everything else in AU
+    function position(body, date) {
+        const d = dayNumber(date);
+        if (body === 'sun') {
+            const sun = sunEcliptic(d);
+            return toEquatorial(sun.lon, 0, sun.r, d);
+        }
+        if (body === 'moon') {
+            const moon = moonEcliptic(d);
+            return toEquatorial(moon.lon, moon.lat, moon.r, d);
+        }
+        if (!ELEMENTS[body]) throw new RangeError(`No ephemeris for "${body}"`);
+        const planet = planetHeliocentric(body, d);
+        const sun = sunEcliptic(d);
+        const x = planet.r * cos(planet.lon) * cos(planet.lat) + sun.r * cos(sun.lon);
+        const y = planet.r * sin(planet.lon) * cos(planet.lat) + sun.r * sin(sun.lon);
+        const z = planet.r * sin(planet.lat);
+        return rectToEquatorial(x, y, z, d);
+    }
+
+    // Local sidereal time in degrees
+    function siderealTime(date, longitude) {
+        const jd = date.getTime() / DAY_MS + 2440587.5;
+        return normalize(280.46061837 + 360.98564736629 * (jd - 2451545.0) + longitude);
+    }
+
+    // { altitude, azimuth } in degrees, azimuth measured from north through east
+    function horizontal(ra, dec, date, latitude, longitude) {
+        const ha = siderealTime(date, longitude) - ra;
+        const altitude = asin(sin(latitude) * sin(dec) + cos(latitude) * cos(dec) * cos(ha));
+        const azimuth = normalize(atan2(sin(ha), cos(ha) * sin(latitude) - Math.tan(dec * RAD) * cos(latitude)) + 180);
+        return { altitude, azimuth };
+    }
+
+    function altitudeOf(body, date, latitude, longitude) {
+        const { ra, dec } = position(body, date);
+        return horizontal(ra, dec, date, latitude, longitude).altitude;
+    }
+
+    // Times in [start, end) where altitudeAt(time) crosses `threshold`,
+    // as { time, rising }; sampled every stepMinutes, refined by bisection
+    function crossings(altitudeAt, start, end, threshold, stepMinutes = 10) {
+        const step = stepMinutes * 60000;
+        const found = [];
+        let t0 = start.getTime();
+        let a0 = altitudeAt(new Date(t0)) - threshold;
+        for (let t1 = t0 + step; t0 < end.getTime(); t1 += step) {
+            const a1 = altitudeAt(new Date(t1)) - threshold;
+            if ((a0 < 0) !== (a1 < 0)) {
+                let lo = t0, hi = t1, aLo = a0;
+                while (hi - lo > 20000) {
+                    const mid = (lo + hi) / 2;
+                    const aMid = altitudeAt(new Date(mid)) - threshold;
+                    if ((aMid < 0) === (aLo < 0)) {
+                        lo = mid;
+                        aLo = aMid;
+                    } else {
+                        hi = mid;
+                    }
+                }
+                found.push({ time: new Date((lo + hi) / 2), rising: a1 > a0 });
+            }
+            t0 = t1;
+            a0 = a1;
+        }
+        return found;
+    }
+
+    // Illuminated fraction, whether it's waxing, age in days and a name
+    function moonPhase(date) {
+        const d = dayNumber(date);
+        const sun = sunEcliptic(d);
+        const moon = moonEcliptic(d);
+        const elongation = normalize(moon.lon - sun.lon);
+        const illumination = (1 - cos(elongation) * cos(moon.lat)) / 2;
+        const waxing = elongation < 180;
+        let name;
+        if (illumination < 0.03) name = 'New Moon';
+        else if (illumination > 0.97) name = 'Full Moon';
+        else if (Math.abs(illumination - 0.5) < 0.04) name = waxing ? 'First Quarter' : 'Last Quarter';
+        else if (illumination < 0.5) name = waxing ? 'Waxing Crescent' : 'Waning Crescent';
+        else name = waxing ? 'Waxing Gibbous' : 'Waning Gibbous';
+        return { illumination, waxing, age: (elongation / 360) * 29.530589, name };
+    }
+
+    // The altitude the Moon's centre has at rise and set, allowing for its
+    // parallax at the current distance (Meeus' h0)
+    function moonHorizon(date) {
+        const parallax = asin(1 / moonEcliptic(dayNumber(date)).r);
+        return 0.7275 * parallax - 0.5667;
+    }
+
+    return {
+        PLANETS,
+        position,
+        horizontal,
+        altitudeOf,
+        crossings,
+        moonPhase,
+        moonHorizon,
+        siderealTime
+    };
+})();
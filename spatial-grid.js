@@ -0,0 +1,81 @@
+// Spatial Grid — uniform-grid index for fixed-radius neighbour queries
+// Points are bucketed into square cells, so a radius query only visits the
+// cells the circle can touch. All-pairs-within-radius work drops from
+// O(n²) to roughly O(n) for spread-out points. Rebuild it (clear, then
+// insert) whenever the points move; ids are insertion order, so inserting
+// an array in order makes ids match its indices.
+
+class SpatialGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.xs = [];
+        this.ys = [];
+        this.count = 0;
+        this.near = [];
+    }
+
+    // Keeps the cell arrays between rebuilds so per-frame use doesn't allocate
+    clear(cellSize = this.cellSize) {
+        if (cellSize !== this.cellSize) {
+            this.cellSize = cellSize;
+            this.cells.clear();
+        } else {
+            for (const cell of this.cells.values()) cell.length = 0;
+        }
+        this.count = 0;
+    }
+
+    // Cell coordinates stay far below the multiplier for any canvas or
+    // unit-space layout, so the combined key is unique.
+    cellKey(cx, cy) {
+        return cx * 1000003 + cy;
+    }
+
+    insert(x, y) {
+        const id = this.count++;
+        this.xs[id] = x;
+        this.ys[id] = y;
+        const key = this.cellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+        let cell = this.cells.get(key);
+        if (!cell) this.cells.set(key, cell = []);
+        cell.push(id);
+        return id;
+    }
+
+    // Calls fn(id, distance) for every point within radius of (x, y)
+    forEachNear(x, y, radius, fn) {
+        const span = Math.ceil(radius / this.cellSize);
+        const cx = Math.floor(x / this.cellSize);
+        const cy = Math.floor(y / this.cellSize);
+        for (let gx = cx - span; gx <= cx + span; gx++) {
+            for (let gy = cy - span; gy <= cy + span; gy++) {
+                const cell = this.cells.get(this.cellKey(gx, gy));
+                if (!cell) continue;
+                for (const id of cell) {
+                    const dx = this.xs[id] - x, dy = this.ys[id] - y;
+                    const dist = Math.sqrt(dx * dx + dy * dy);
+                    if (dist <= radius) fn(id, dist);
+                }
+            }
+        }
+    }
+
+    // Calls fn(i, j, distance) once per pair within radius, with i < j, in
+    // the same order as a nested i/j loop — callers that draw random numbers
+    // per pair stay deterministic.
+    forEachPair(radius, fn) {
+        const near = this.near;
+        for (let i = 0; i < this.count; i++) {
+            near.length = 0;
+            this.forEachNear(this.xs[i], this.ys[i], radius, j => {
+                if (j > i) near.push(j);
+            });
+            near.sort((a, b) => a - b);
+            for (const j of near) {
+                const dx = this.xs[i] - this.xs[j], dy = this.ys[i] - this.ys[j];
+                fn(i, j, Math.sqrt(dx * dx + dy * dy));
+            }
+        }
+    }
+}
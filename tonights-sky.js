@@ -0,0 +1,213 @@
+// Tonight's Sky — what's worth observing tonight from a given spot
+// Works out the night's sunset, twilight and sunrise, the Moon's phase and
+// rise/set, where the bright planets sit, and which SkyCatalog targets
+// climb above a minimum altitude while it's dark. Everything comes from
+// SkyEphemeris; nothing is fetched.
+//
+// "Tonight" runs from local mean noon at the location to the next one, so
+// the answer doesn't depend on the visitor's time zone and a check at 2am
+// still describes the night in progress. Once that night's sunrise has
+// passed it moves on a day, so a morning check describes the coming night.
+
+const TonightsSky = (function () {
+    const WESTCHESTER = { name: 'Westchester County, NY', latitude: 41.03, longitude: -73.76 };
+    const SUN_HORIZON = -0.833;         // refraction plus the Sun's radius
+    const TWILIGHTS = [
+        { kind: 'astronomical', altitude: -18 },
+        { kind: 'nautical', altitude: -12 },
+        { kind: 'civil', altitude: -6 }
+    ];
+    const DAY_MS = 86400000;
+    const SAMPLE_MINUTES = 15;
+    const DEFAULT_MIN_ALTITUDE = 30;
+    const PLANET_MIN_ALTITUDE = 5;
+    const PLANET_SUN_ALTITUDE = -6;     // civil dusk to civil dawn
+    const MOONLIT_ILLUMINATION = 0.4;
+    const PLANET_NAMES = { mercury: 'Mercury', venus: 'Venus', mars: 'Mars', jupiter: 'Jupiter', saturn: 'Saturn' };
+    const COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+    let catalog = null;
+
+    // 'hh mm.m' or '±dd mm' to hours or degrees
+    function parseSexagesimal(text) {
+        const [whole, minutes = '0'] = String(text).trim().split(/\s+/);
+        const sign = whole.startsWith('-') ? -1 : 1;
+        return sign * (Math.abs(parseFloat(whole)) + parseFloat(minutes) / 60);
+    }
+
+    function getCatalog() {
+        if (!catalog) {
+            catalog = (typeof SkyCatalog !== 'undefined' ? SkyCatalog : []).map(entry => ({
+                ...entry,
+                raDeg: parseSexagesimal(entry.ra) * 15,
+                decDeg: parseSexagesimal(entry.dec)
+            }));
+        }
+        return catalog;
+    }
+
+    function compass(azimuth) {
+        return COMPASS[Math.round(azimuth / 22.5) % 16];
+    }
+
+    function validLocation(location) {
+        const { latitude, longitude } = location || {};
+        if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+            throw new RangeError('Latitude needs to be between -90 and 90');
+        }
+        if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+            throw new RangeError('Longitude needs to be between -180 and 180');
+        }
+        return location;
+    }
+
+    // Local mean noon before `now` to the one after it
+    function nightWindow(now, longitude) {
+        const noonOffset = DAY_MS / 2 - (longitude / 360) * DAY_MS;
+        const start = Math.floor((now.getTime() - noonOffset) / DAY_MS) * DAY_MS + noonOffset;
+        return { start: new Date(start), end: new Date(start + DAY_MS) };
+    }
+
+    function samplesBetween(start, end) {
+        const times = [];
+        for (let t = start.getTime(); t <= end.getTime(); t += SAMPLE_MINUTES * 60000) times.push(new Date(t));
+        return times;
+    }
+
+    function firstCrossing(list, rising, after = null) {
+        return list.find(c => c.rising === rising && (!after || c.time > after))?.time || null;
+    }
+
+    function sunsetAndSunrise(sunAltitude, start, end) {
+        const crossings = SkyEphemeris.crossings(sunAltitude, start, end, SUN_HORIZON);
+        const sunset = firstCrossing(crossings, false);
+        return { sunset, sunrise: firstCrossing(crossings, true, sunset) };
+    }
+
+    // The sample where at(time) is highest, as { altitude, azimuth, time }
+    function highest(times, at) {
+        let best = null;
+        for (const time of times) {
+            const position = at(time);
+            if (!best || position.altitude > best.altitude) best = { ...position, time };
+        }
+        return best;
+    }
+
+    // options.minAltitude (degrees, default 30) filters the catalog
+    function plan(now, location, options = {}) {
+        const { latitude, longitude } = validLocation(location);
+        const minAltitude = options.minAltitude ?? DEFAULT_MIN_ALTITUDE;
+        const sunAltitude = t => SkyEphemeris.altitudeOf('sun', t, latitude, longitude);
+        let { start, end } = nightWindow(now, longitude);
+        let { sunset, sunrise } = sunsetAndSunrise(sunAltitude, start, end);
+        if (sunrise && now >= sunrise) {
+            ({ start, end } = nightWindow(end, longitude));
+            ({ sunset, sunrise } = sunsetAndSunrise(sunAltitude, start, end));
+        }
+
+        // The darkest twilight the night reaches; none when the Sun stays up
+        let darkness = null;
+        for (const { kind, altitude } of TWILIGHTS) {
+            const found = SkyEphemeris.crossings(sunAltitude, start, end, altitude);
+            const darkStart = firstCrossing(found, false);
+            const darkEnd = firstCrossing(found, true, darkStart);
+            if (darkStart && darkEnd) {
+                darkness = { kind, start: darkStart, end: darkEnd };
+                break;
+            }
+            // Polar night: below this altitude the whole window
+            if (found.length === 0 && sunAltitude(start) < altitude) {
+                darkness = { kind, start, end };
+                break;
+            }
+        }
+        const astronomical = darkness?.kind === 'astronomical' ? darkness : null;
+
+        const referenceTime = darkness && now > darkness.start && now < darkness.end ? now : darkness?.start || null;
+
+        // The Moon, sampled once and reused for the moonlight check
+        const moonAt = time => {
+            const { ra, dec } = SkyEphemeris.position('moon', time);
+            return SkyEphemeris.horizontal(ra, dec, time, latitude, longitude);
+        };
+        const moonCrossings = SkyEphemeris.crossings(
+            t => moonAt(t).altitude - SkyEphemeris.moonHorizon(t), start, end, 0
+        );
+        const phase = SkyEphemeris.moonPhase(referenceTime || now);
+        const moon = {
+            ...phase,
+            rise: firstCrossing(moonCrossings, true),
+            set: firstCrossing(moonCrossings, false),
+            altitude: referenceTime ? moonAt(referenceTime).altitude : null
+        };
+
+        // Planets from civil dusk to civil dawn, so Mercury and Venus still
+        // get their twilight but nothing is "best" in a bright sky; under
+        // the midnight sun there's no night
+        const sunUp = !sunset && sunAltitude(start) > SUN_HORIZON;
+        const nightTimes = sunUp
+            ? []
+            : samplesBetween(sunset || start, sunrise || end).filter(time => sunAltitude(time) <= PLANET_SUN_ALTITUDE);
+        const planets = SkyEphemeris.PLANETS.map(id => {
+            const mid = nightTimes[Math.floor(nightTimes.length / 2)] || start;
+            const { ra, dec } = SkyEphemeris.position(id, mid);
+            const at = time => SkyEphemeris.horizontal(ra, dec, time, latitude, longitude);
+            const best = highest(nightTimes, at);
+            const current = referenceTime ? at(referenceTime) : null;
+            const up = !!current && current.altitude >= PLANET_MIN_ALTITUDE;
+            return {
+                id,
+                name: PLANET_NAMES[id],
+                altitude: current?.altitude ?? null,
+                direction: current ? compass(current.azimuth) : null,
+                up,
+                maxAltitude: best?.altitude ?? null,
+                bestTime: best?.time ?? null,
+                bestDirection: best ? compass(best.azimuth) : null,
+                visible: up || (!!best && best.altitude >= PLANET_MIN_ALTITUDE)
+            };
+        });
+
+        const darkTimes = darkness ? samplesBetween(darkness.start, darkness.end) : [];
+        const moonlit = new Map(darkTimes.map(time => [
+            time.getTime(),
+            phase.illumination >= MOONLIT_ILLUMINATION && moonAt(time).altitude > 0
+        ]));
+        const objects = [];
+        for (const entry of getCatalog()) {
+            const best = highest(darkTimes, time => SkyEphemeris.horizontal(entry.raDeg, entry.decDeg, time, latitude, longitude));
+            if (!best || best.altitude < minAltitude) continue;
+            objects.push({
+                id: entry.id,
+                name: entry.name,
+                type: entry.type,
+                mag: entry.mag,
+                maxAltitude: best.altitude,
+                bestTime: best.time,
+                direction: compass(best.azimuth),
+                moonlit: moonlit.get(best.time.getTime())
+            });
+        }
+        objects.sort((a, b) => a.bestTime - b.bestTime || b.maxAltitude - a.maxAltitude);
+
+        return {
+            location,
+            minAltitude,
+            window: { start, end },
+            sun: {
+                set: sunset,
+                rise: sunrise,
+                dusk: astronomical?.start || null,
+                dawn: astronomical?.end || null
+            },
+            darkness,
+            referenceTime,
+            moon,
+            planets,
+            objects
+        };
+    }
+
+    return { WESTCHESTER, DEFAULT_MIN_ALTITUDE, plan, compass };
+})();
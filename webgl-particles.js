@@ -0,0 +1,236 @@
+// WebGL Particles — instanced sprite layer for the observatory's particle pools
+// Sprites are queued in 2D-canvas coordinates along with the transform and
+// alpha the 2D context would have applied, then drawn in one instanced call
+// with additive blending. The layer's canvas is offscreen: the observatory
+// copies each pool's pass into its 2D canvas where that pool is drawn, so
+// everything vector (telescope, glass, tails, labels) keeps its place
+// in the draw order.
+//
+// Shapes: discs (antialiased dots), glows (a linear radial fade, matching
+// a GlowSprites halo) and rings (antialiased annuli). Colours are 0-255
+// triples; WebGLParticles.hsl converts the pools' hue/saturation/lightness.
+
+class WebGLParticles {
+    static VERTEX_SHADER = `#version 300 es
+in vec2 corner;
+in vec2 center;
+in vec2 size;
+in vec4 color;
+in float shape;
+uniform vec2 resolution;
+out vec2 local;
+flat out vec2 vSize;
+flat out vec4 vColor;
+flat out float vShape;
+
+void main() {
+    // One pixel of margin past the rim for the antialiased edge
+    float extent = size.x + size.y * 0.5 + 1.0;
+    local = corner * extent;
+    vec2 clip = (center + local) / resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    vSize = size;
+    vColor = color;
+    vShape = shape;
+}`;
+
+    static FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in vec2 local;
+flat in vec2 vSize;
+flat in vec4 vColor;
+flat in float vShape;
+out vec4 fragColor;
+
+void main() {
+    float d = length(local);
+    float a;
+    if (vShape < 0.5) {
+        // Sub-pixel discs fade by area, as a 2D arc would
+        a = clamp(vSize.x - d + 0.5, 0.0, 1.0) * min(1.0, vSize.x * vSize.x * 3.14159);
+    } else if (vShape < 1.5) {
+        a = max(0.0, 1.0 - d / vSize.x);
+    } else {
+        a = clamp(vSize.y * 0.5 - abs(d - vSize.x) + 0.5, 0.0, 1.0);
+    }
+    a *= vColor.a;
+    fragColor = vec4(vColor.rgb * a, a);
+}`;
+
+    static SHAPES = { disc: 0, glow: 1, ring: 2 };
+    static FLOATS = 9;      // x, y, radius, width, r, g, b, a, shape
+
+    // Returns a layer, or null where WebGL2 (or a fast enough one, with
+    // failIfMajorPerformanceCaveat) isn't available
+    static create(canvas, options = {}) {
+        try {
+            return new WebGLParticles(canvas, options);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Hue in degrees, saturation and lightness in percent, as in CSS hsl()
+    static hsl(hue, sat, light) {
+        const s = sat / 100, l = light / 100;
+        const k = n => ((n + hue / 30) % 12 + 12) % 12;
+        const a = s * Math.min(l, 1 - l);
+        const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+        return [f(0) * 255, f(8) * 255, f(4) * 255];
+    }
+
+    constructor(canvas, options = {}) {
+        const gl = canvas.getContext('webgl2', {
+            alpha: true,
+            premultipliedAlpha: true,
+            antialias: false,
+            failIfMajorPerformanceCaveat: !!options.failIfMajorPerformanceCaveat
+        });
+        if (!gl) throw new Error('WebGL2 is not available');
+
+        this.canvas = canvas;
+        this.gl = gl;
+        this.lost = false;
+        this.count = 0;
+        this.data = new Float32Array(1024 * WebGLParticles.FLOATS);
+        this.matrix = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+        this.scale = 1;
+        this.alpha = 1;
+
+        canvas.addEventListener?.('webglcontextlost', () => { this.lost = true; });
+
+        this.program = this.link(WebGLParticles.VERTEX_SHADER, WebGLParticles.FRAGMENT_SHADER);
+        this.resolution = gl.getUniformLocation(this.program, 'resolution');
+        this.vao = gl.createVertexArray();
+        gl.bindVertexArray(this.vao);
+
+        // Unit quad shared by every instance
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        this.attribute('corner', 2, 0, 0, 0);
+
+        this.instances = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instances);
+        const stride = WebGLParticles.FLOATS * 4;
+        this.attribute('center', 2, stride, 0, 1);
+        this.attribute('size', 2, stride, 8, 1);
+        this.attribute('color', 4, stride, 16, 1);
+        this.attribute('shape', 1, stride, 32, 1);
+        gl.bindVertexArray(null);
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.clearColor(0, 0, 0, 0);
+        this.resize(canvas.width, canvas.height);
+    }
+
+    link(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Particle shader failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Particle program failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        return program;
+    }
+
+    attribute(name, components, stride, offset, divisor) {
+        const gl = this.gl;
+        const location = gl.getAttribLocation(this.program, name);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, components, gl.FLOAT, false, stride, offset);
+        gl.vertexAttribDivisor(location, divisor);
+    }
+
+    // Backing-store pixels, the same as the 2D canvas it is copied into
+    resize(width, height) {
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+        this.gl.viewport(0, 0, width, height);
+    }
+
+    // Starts a frame's queue
+    begin() {
+        this.count = 0;
+    }
+
+    // Adopts a 2D context's current transform (a DOMMatrix or anything with
+    // a-f) and globalAlpha for the sprites queued after it
+    setTransform(matrix, alpha = 1) {
+        const { a, b, c, d, e, f } = matrix;
+        this.matrix = { a, b, c, d, e, f };
+        this.scale = Math.sqrt(Math.abs(a * d - b * c));
+        this.alpha = alpha;
+    }
+
+    push(x, y, radius, width, rgb, alpha, shape) {
+        if (radius <= 0 || alpha <= 0) return;
+        if ((this.count + 1) * WebGLParticles.FLOATS > this.data.length) {
+            const grown = new Float32Array(this.data.length * 2);
+            grown.set(this.data);
+            this.data = grown;
+        }
+        const m = this.matrix;
+        const o = this.count++ * WebGLParticles.FLOATS;
+        this.data[o] = m.a * x + m.c * y + m.e;
+        this.data[o + 1] = m.b * x + m.d * y + m.f;
+        this.data[o + 2] = radius * this.scale;
+        this.data[o + 3] = width * this.scale;
+        this.data[o + 4] = rgb[0] / 255;
+        this.data[o + 5] = rgb[1] / 255;
+        this.data[o + 6] = rgb[2] / 255;
+        this.data[o + 7] = Math.min(1, alpha * this.alpha);
+        this.data[o + 8] = shape;
+    }
+
+    disc(x, y, radius, rgb, alpha) {
+        this.push(x, y, radius, 0, rgb, alpha, WebGLParticles.SHAPES.disc);
+    }
+
+    glow(x, y, radius, rgb, alpha) {
+        this.push(x, y, radius, 0, rgb, alpha, WebGLParticles.SHAPES.glow);
+    }
+
+    ring(x, y, radius, width, rgb, alpha) {
+        this.push(x, y, radius, width, rgb, alpha, WebGLParticles.SHAPES.ring);
+    }
+
+    // Draws everything queued since begin(), replacing the previous frame
+    flush() {
+        const gl = this.gl;
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        if (this.count === 0 || this.lost) return;
+        gl.useProgram(this.program);
+        gl.uniform2f(this.resolution, this.canvas.width, this.canvas.height);
+        gl.bindVertexArray(this.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instances);
+        gl.bufferData(gl.ARRAY_BUFFER, this.data.subarray(0, this.count * WebGLParticles.FLOATS), gl.DYNAMIC_DRAW);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, this.count);
+        gl.bindVertexArray(null);
+    }
+
+    clear() {
+        this.begin();
+        this.flush();
+    }
+
+    destroy() {
+        const gl = this.gl;
+        gl.deleteBuffer(this.quad);
+        gl.deleteBuffer(this.instances);
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.program);
+    }
+}
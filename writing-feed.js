@@ -0,0 +1,215 @@
+// Writing Feed — Substack RSS/Atom posts for the "Latest writing" section
+// The page reads the live feeds with loadFeeds(). build-writing.js parses
+// feed files on disk into a snapshot instead: writing.json, next to
+// index.html, when built from real feeds (the page falls back to it if the
+// feeds can't be read), or data/writing.fixture.json from the sample
+// *.fixture.xml feeds, which the page only shows when asked to. Both sides
+// share this file — the browser loads it as a script, the generator
+// require()s it.
+//
+// Snapshot: { source, generated, posts: [post, ...] } where each post is
+//   { title, url, date (ISO 8601), excerpt, publication }. source is 'rss'
+// for real feeds and 'fixture' for the sample feeds.
+// Posts are newest first; a post cross-posted to several feeds is kept
+// once, preferring the copy from the publication it was posted to.
+
+const WritingFeed = (function () {
+    const SNAPSHOT_URL = 'writing.json';
+    const FIXTURE_URL = 'data/writing.fixture.json';
+    const FEEDS = [
+        'https://itsnotgambling.substack.com/feed',
+        'https://magnitudezero.substack.com/feed',
+        'https://eligoldfine.substack.com/feed'
+    ];
+    const REQUEST_TIMEOUT = 8000;       // ms
+    const EXCERPT_LENGTH = 180;
+    const SAFE_URL = /^https?:/i;
+    const ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+        mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+    };
+    // Post bodies open with headings and images; an excerpt wants the prose
+    const SKIPPED_MARKUP = /<(h[1-6]|figure|figcaption|script|style)\b[\s\S]*?<\/\1>/gi;
+
+    function decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, code) => {
+            if (code[0] === '#') {
+                const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : whole;
+            }
+            return ENTITIES[code.toLowerCase()] ?? whole;
+        });
+    }
+
+    function stripMarkup(text) {
+        return text.replace(SKIPPED_MARKUP, ' ').replace(/<[^>]*>/g, ' ');
+    }
+
+    // Element text with CDATA unwrapped, any tags in it dropped and
+    // entities decoded once, so escaped text such as &lt;tag&gt; stays as
+    // written. With html the element holds HTML escaped for XML (RSS
+    // descriptions, Atom type="html"): it is unescaped to markup first,
+    // then stripped down to its text and decoded as HTML.
+    function readText(raw, { html = false } = {}) {
+        if (raw === null) return '';
+        let text = '';
+        let last = 0;
+        for (const match of raw.matchAll(/<!\[CDATA\[([\s\S]*?)\]\]>/g)) {
+            const cdata = html ? match[1] : decodeEntities(stripMarkup(match[1]));
+            text += decodeEntities(raw.slice(last, match.index)) + cdata;
+            last = match.index + match[0].length;
+        }
+        text += decodeEntities(raw.slice(last));
+        if (html) text = decodeEntities(stripMarkup(text));
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    function escapeName(name) {
+        return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Inner XML of the first <name> element (namespaced names like
+    // content:encoded included), or null
+    function child(xml, name) {
+        const tag = escapeName(name);
+        const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+        return match ? match[1] : null;
+    }
+
+    function attribute(tag, name) {
+        const match = tag.match(new RegExp(`\\s${escapeName(name)}\\s*=\\s*(["'])([\\s\\S]*?)\\1`, 'i'));
+        return match ? decodeEntities(match[2]) : null;
+    }
+
+    // Atom links are empty elements; the alternate (or unlabelled) one is the post
+    function atomLink(xml) {
+        for (const [tag] of xml.matchAll(/<link\b[^>]*>/gi)) {
+            const rel = attribute(tag, 'rel');
+            const href = attribute(tag, 'href');
+            if (href && (!rel || rel === 'alternate')) return href;
+        }
+        return null;
+    }
+
+    function excerpt(text) {
+        if (text.length <= EXCERPT_LENGTH) return text;
+        const cut = text.slice(0, EXCERPT_LENGTH);
+        const space = cut.lastIndexOf(' ');
+        return `${(space > EXCERPT_LENGTH * 0.6 ? cut.slice(0, space) : cut).replace(/[\s,.;:!?-]+$/, '')}…`;
+    }
+
+    function hostOf(url) {
+        const match = String(url || '').match(/^https?:\/\/([^/?#]+)/i);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    function readItem(xml, publication, home) {
+        const url = readText(child(xml, 'link')) || atomLink(xml) || '';
+        const date = Date.parse(readText(child(xml, 'pubDate') ?? child(xml, 'published') ?? child(xml, 'updated') ?? child(xml, 'dc:date')));
+        const summary = ['description', 'summary', 'content:encoded', 'content']
+            .map(name => readText(child(xml, name), { html: true }))
+            .find(text => text !== '') || '';
+        return {
+            id: readText(child(xml, 'guid') ?? child(xml, 'id')) || url,
+            title: readText(child(xml, 'title')),
+            url,
+            date: Number.isFinite(date) ? new Date(date).toISOString() : null,
+            excerpt: excerpt(summary),
+            publication,
+            // Posted here rather than cross-posted from elsewhere
+            original: !!home && hostOf(url) === home
+        };
+    }
+
+    // Parses one RSS 2.0 or Atom document; the feed's own title names the
+    // publication unless one is given
+    function parseFeed(xml, publication) {
+        const source = String(xml).replace(/<!--[\s\S]*?-->/g, '');
+        const items = [...source.matchAll(/<(item|entry)\b[^>]*>([\s\S]*?)<\/\1>/gi)];
+        if (items.length === 0 && !/<(rss|feed|rdf:RDF)\b/i.test(source)) {
+            throw new Error('Not an RSS or Atom feed');
+        }
+        const head = items.length > 0 ? source.slice(0, items[0].index) : source;
+        const name = publication || readText(child(head, 'title')) || 'Substack';
+        const home = hostOf(readText(child(head, 'link')) || atomLink(head));
+        return items.map(match => readItem(match[2], name, home));
+    }
+
+    function isPost(post) {
+        return !!post && typeof post.title === 'string' && post.title !== '' &&
+            typeof post.url === 'string' && SAFE_URL.test(post.url) &&
+            Number.isFinite(Date.parse(post.date)) &&
+            typeof post.publication === 'string' && post.publication !== '';
+    }
+
+    // Cross-posts share a guid or URL, or at least a title and day
+    function postKeys(post, date) {
+        const keys = [`title:${post.title.toLowerCase()}|${date.slice(0, 10)}`];
+        if (post.id) keys.push(`id:${post.id}`);
+        keys.push(`url:${post.url.replace(/[?#].*$/, '').replace(/\/+$/, '').toLowerCase()}`);
+        return keys;
+    }
+
+    // Newest first, one of each post; reports what was dropped
+    function mergePosts(lists, problems = []) {
+        const seen = new Set();
+        const posts = [];
+        const candidates = lists.flat();
+        // Originals first so they win over their cross-posts (sort is stable)
+        candidates.sort((a, b) => (b?.original ? 1 : 0) - (a?.original ? 1 : 0));
+        for (const post of candidates) {
+            if (!isPost(post)) {
+                problems.push(`Skipped "${post?.title || post?.url || 'untitled'}": needs a title, http(s) link, date and publication`);
+                continue;
+            }
+            const date = new Date(post.date).toISOString();
+            const keys = postKeys(post, date);
+            if (keys.some(key => seen.has(key))) continue;
+            keys.forEach(key => seen.add(key));
+            posts.push({
+                title: post.title,
+                url: post.url,
+                date,
+                excerpt: typeof post.excerpt === 'string' ? post.excerpt : '',
+                publication: post.publication
+            });
+        }
+        return posts.sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+    }
+
+    // Returns { posts, problems, source } from a snapshot payload
+    function validate(payload) {
+        if (!payload || !Array.isArray(payload.posts)) {
+            throw new TypeError('Writing snapshot needs a "posts" list');
+        }
+        const problems = [];
+        return {
+            posts: mergePosts([payload.posts], problems),
+            problems,
+            source: typeof payload.source === 'string' ? payload.source : null
+        };
+    }
+
+    async function load(url = SNAPSHOT_URL) {
+        return validate(await fetchJson(url, { timeout: REQUEST_TIMEOUT, label: 'Writing snapshot request' }));
+    }
+
+    // Fetches and merges the feeds; one that can't be read is reported and
+    // the rest still count. Resolves with { posts, problems, source: 'rss' }.
+    async function loadFeeds(urls = FEEDS) {
+        const problems = [];
+        const lists = await Promise.all(urls.map(async url => {
+            try {
+                return parseFeed(await fetchText(url, { timeout: REQUEST_TIMEOUT, label: `Feed request for ${url}` }));
+            } catch (error) {
+                problems.push(`${url}: ${error.message}`);
+                return [];
+            }
+        }));
+        return { posts: mergePosts(lists, problems), problems, source: 'rss' };
+    }
+
+    return { SNAPSHOT_URL, FIXTURE_URL, FEEDS, parseFeed, mergePosts, validate, load, loadFeeds };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = WritingFeed;